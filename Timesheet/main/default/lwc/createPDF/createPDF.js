@@ -6,6 +6,8 @@ import jsPDFAutoTable from '@salesforce/resourceUrl/jsPdfAutotable';
 import { loadScript } from 'lightning/platformResourceLoader';
 import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { getTimesheetConfig, getWeekStartDay } from 'c/timesheetConfig';
+import { calculateOvertime } from 'c/timesheetOvertime';
 
 export default class PdfGenerator extends LightningElement {
     @api recordId;
@@ -96,8 +98,13 @@ export default class PdfGenerator extends LightningElement {
             const timesheetData = await getTimesheetRecords({ recID: this.recordId });
             this.Timesheet = timesheetData;
 
-            const lineItems = await getTimesheetLineItemsRecords({ recId: this.recordId });
+            const [lineItems, config, weekStart] = await Promise.all([
+                getTimesheetLineItemsRecords({ recId: this.recordId }),
+                getTimesheetConfig(),
+                getWeekStartDay({ employeeId: timesheetData?.dbt__Employee__c })
+            ]);
             this.processLineItems(lineItems);
+            this.addOvertime(config, weekStart);
             
             await this.handleGeneratePDF();
         } catch (error) {
@@ -185,6 +192,29 @@ export default class PdfGenerator extends LightningElement {
         this.TimesheetLineItems = tempLineItems;
     }
 
+    /**
+     * @description Adds each day's overtime to the rows, by the rules that fill Overtime_Hours__c.
+     * Periods longer than a week restart the weekly count on the week start day.
+     */
+    addOvertime(config, weekStart) {
+        const splitWeeks = this.TimesheetLineItems.length > 7;
+        let week = 0;
+        const dayWeeks = this.TimesheetLineItems.map((row, index) => {
+            if (splitWeeks && index > 0 && this.weekdays.indexOf(row.Day) === weekStart) {
+                week++;
+            }
+            return week;
+        });
+        const overtime = calculateOvertime(
+            this.TimesheetLineItems.map(row => Number(row.duration) || 0),
+            dayWeeks,
+            { hoursPerDay: config.workingHoursPerDay, hoursPerWeek: config.workingHoursPerDay * config.workingDaysPerWeek }
+        );
+        this.TimesheetLineItems.forEach((row, index) => {
+            row.overtime = String(overtime[index].total);
+        });
+    }
+
     /**
      * @description Generates PDF
      */
@@ -211,6 +241,7 @@ export default class PdfGenerator extends LightningElement {
         const fortnightEnding = this.Timesheet?.dbt__End_Date__c || "Unknown Date";
         const billableHours = this.Timesheet?.dbt__Billable_Hours__c || "0";
         const totalHours = this.Timesheet?.dbt__Total_Hours__c || "0";
+        const overtimeHours = this.Timesheet?.dbt__Overtime_Hours__c || "0";
 
         const pic = new Image();
         pic.src = imageLogo;
@@ -232,6 +263,7 @@ export default class PdfGenerator extends LightningElement {
         doc.text("Manager Email: " + clientManagerEmail, 15, this.tableRowStart + 30);
         doc.text("Billable Hours: " + billableHours, 15, this.tableRowStart + 40);
         doc.text("Total Hours: " + totalHours, 15, this.tableRowStart + 50);
+        doc.text("Overtime Hours: " + overtimeHours, 15, this.tableRowStart + 60);
     }
 
     /**
@@ -241,11 +273,12 @@ export default class PdfGenerator extends LightningElement {
         const columns = [
             { header: 'Day', dataKey: 'Day' },
             { header: 'Date', dataKey: 'dbt__Date__c' },
-            { header: 'Hours_Worked', dataKey: 'duration' }
+            { header: 'Hours_Worked', dataKey: 'duration' },
+            { header: 'Overtime', dataKey: 'overtime' }
         ];
 
         doc.autoTable({
-            startY: this.tableRowStart + 60,
+            startY: this.tableRowStart + 70,
             columns: columns,
             body: this.TimesheetLineItems,
             theme: 'grid',
@@ -283,6 +316,10 @@ export default class PdfGenerator extends LightningElement {
         if (day === 'Saturday' || day === 'Sunday') {
             cell.styles.fillColor = [230, 230, 230];
         }
+
+        if (column.dataKey === 'overtime' && Number(row.raw?.overtime) > 0) {
+            cell.styles.fillColor = [254, 147, 57];
+        }
     }
 
     get generateButtonLabel() {
@@ -8,6 +8,7 @@ import { loadScript } from 'lightning/platformResourceLoader';
 import ChartJS from '@salesforce/resourceUrl/jsChart';
 import jsChartMatrix from '@salesforce/resourceUrl/jsChartMatrix';
 import { getChartData } from 'c/dashboardSharedData';
+import { daysSinceWeekStart } from 'c/timesheetConfig';
 import USER_ID from '@salesforce/user/Id';
 
 // LMS imports for handling user selection
@@ -21,6 +22,7 @@ export default class dashboardContributionChart extends LightningElement {
     chart;
     isChartJsInitialized = false;
     year = new Date().getFullYear(); // Default to current year
+    weekStart = 1; // getDay() index of the first row; replaced with the user's setting once loaded
 
     // LMS configuration
     @wire(MessageContext)
@@ -85,6 +87,9 @@ export default class dashboardContributionChart extends LightningElement {
             getChartData(this.selectedUserId)
                 .then(data => {
                     this.chartData = data;
+                    if (data) {
+                        this.weekStart = data.weekStart;
+                    }
                     this.showChart();
                 })
                 .catch(error => {
@@ -179,7 +184,8 @@ export default class dashboardContributionChart extends LightningElement {
                                 stepSize: 1,
                                 maxRotation: 0,
                                 autoSkip: true,
-                                callback: value => ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'][value - 1],
+                                // Rows run from the week start day
+                                callback: value => ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][(this.weekStart + value - 1) % 7],
                                 font: { size: 11 }
                             },
                             grid: { display: false, drawBorder: false, tickLength: 0 }
@@ -196,7 +202,7 @@ export default class dashboardContributionChart extends LightningElement {
                                 autoSkip: true,
                                 callback: (value) => {
                                     // Use UTC-based date for tick label (start of that week)
-                                    const ts = Date.UTC(this.year, 0, 1) + (value - 1) * 7 * 86400000;
+                                    const ts = this.getFirstWeekStartTs() + (value - 1) * 7 * 86400000;
                                     const d = new Date(ts);
                                     return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
                                 },
@@ -211,6 +217,17 @@ export default class dashboardContributionChart extends LightningElement {
         }
     }
 
+    /**
+     * @description First day of the year that falls on the week start day
+     * @returns {Number} UTC timestamp of that day
+     */
+    getFirstWeekStartTs() {
+        const jan1Ts = Date.UTC(this.year, 0, 1);
+        const jan1Day = new Date(jan1Ts).getUTCDay(); // 0 (Sun) - 6 (Sat)
+        const daysUntilWeekStart = (7 - daysSinceWeekStart(jan1Day, this.weekStart)) % 7;
+        return jan1Ts + daysUntilWeekStart * 86400000;
+    }
+
     /**
      * @description Prepares data for the matrix chart visualization
      * @returns {Array} Formatted data points for the chart
@@ -269,24 +286,11 @@ export default class dashboardContributionChart extends LightningElement {
         const startTs = Date.UTC(this.year, 0, 1);
         const endTs = Date.UTC(this.year, 11, 31);
 
-        // firstMonday calculation (UTC)
-        let firstMondayTs = null;
-        const computeFirstMonday = () => {
-            if (firstMondayTs !== null) return firstMondayTs;
-            const jan1Ts = Date.UTC(this.year, 0, 1);
-            const jan1Day = new Date(jan1Ts).getUTCDay(); // 0 (Sun) - 6 (Sat)
-            if (jan1Day === 1) {
-                firstMondayTs = jan1Ts;
-            } else {
-                const daysUntilNextMonday = (8 - jan1Day) % 7;
-                firstMondayTs = jan1Ts + daysUntilNextMonday * 86400000;
-            }
-            return firstMondayTs;
-        };
+        // Weeks are numbered from the first week start day of the year (UTC)
+        const firstWeekStartTs = this.getFirstWeekStartTs();
 
-        const getMondayBasedWeekNumber = (dateTs) => {
-            const fm = computeFirstMonday();
-            return Math.floor((dateTs - fm) / 604800000) + 1;
+        const getWeekNumber = (dateTs) => {
+            return Math.floor((dateTs - firstWeekStartTs) / 604800000) + 1;
         };
 
         // Generate data points iterating by UTC midnight increments
@@ -295,10 +299,10 @@ export default class dashboardContributionChart extends LightningElement {
             const dUTC = new Date(ts);
             const dateKey = formatDateKeyUTC(dUTC);
             const duration = dateToDuration[dateKey] || 0;
-            let dayOfWeek = dUTC.getUTCDay(); // 0 (Sun) - 6 (Sat)
-            dayOfWeek = dayOfWeek === 0 ? 7 : dayOfWeek; // convert so Monday=1 ... Sunday=7
+            // Row 1 is the week start day ... row 7 the day before it
+            const dayOfWeek = daysSinceWeekStart(dUTC.getUTCDay(), this.weekStart) + 1;
 
-            const weekNumber = getMondayBasedWeekNumber(ts);
+            const weekNumber = getWeekNumber(ts);
 
             graphdata.push({
                 x: weekNumber,
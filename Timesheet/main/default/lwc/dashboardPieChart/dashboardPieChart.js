@@ -7,6 +7,7 @@ import { LightningElement, api, track, wire } from 'lwc';
 import { loadScript } from 'lightning/platformResourceLoader';
 import ChartJS from '@salesforce/resourceUrl/jsChart';
 import { getChartData } from 'c/dashboardSharedData';
+import { getTimesheetConfig, getHourGoals, getHolidayHours } from 'c/timesheetConfig';
 import USER_ID from '@salesforce/user/Id';
 
 // LMS imports for handling user selection
@@ -21,8 +22,10 @@ export default class dashboardPieChart extends LightningElement {
     isChartJsInitialized = false;
     selectedLevel = 'year';
 
-    // Time period goals in hours
+    // Time period goals in hours, replaced with Timesheet_Default_Value__mdt values once loaded
     goals = { year: 1920, month: 160, week: 40, day: 8 };
+    // Timesheet_Default_Value__mdt values, used to weigh public holidays against the goals
+    config;
 
     // Navigation state indices
     currentYearIndex = 0;
@@ -132,8 +135,10 @@ export default class dashboardPieChart extends LightningElement {
      */
     initializeChart() {
         if (this.selectedUserId) {
-            getChartData(this.selectedUserId)
-                .then(data => {
+            Promise.all([getChartData(this.selectedUserId), getTimesheetConfig()])
+                .then(([data, config]) => {
+                    this.config = config;
+                    this.goals = getHourGoals(config);
                     this.chartData = data;
                     this.showChart();
                 })
@@ -235,6 +240,28 @@ export default class dashboardPieChart extends LightningElement {
         }
     }
 
+    /**
+     * @description Public holiday hours to take off the week or day goal
+     * @param {String} level - 'year', 'month', 'week' or 'day'
+     * @param {Object} data - Week or day item from dashboardSharedData
+     * @returns {Number} Holiday hours on working days of the period; 0 for years and months
+     */
+    holidayHoursFor(level, data) {
+        const { holidays, getStartAndEndDate } = this.chartData;
+        if (!this.config || !holidays) {
+            return 0;
+        }
+        if (level === 'week') {
+            const [startStr, endStr] = getStartAndEndDate(data.week).split(' - ');
+            return getHolidayHours(holidays, this.parseDayStringToUTC(startStr), this.parseDayStringToUTC(endStr), this.config);
+        }
+        if (level === 'day') {
+            const day = this.parseDayStringToUTC(data.day);
+            return getHolidayHours(holidays, day, day, this.config);
+        }
+        return 0;
+    }
+
     /**
      * @description Renders the pie chart with current data
      */
@@ -282,9 +309,10 @@ export default class dashboardPieChart extends LightningElement {
             }
 
             const data = levelData.items[levelData.currentIndex];
+            const goal = Math.max(0, levelData.goal - this.holidayHoursFor(level, data));
             const pie_dataValues_1 = [
                 data.duration,
-                Math.max(0, levelData.goal - data.duration),
+                Math.max(0, goal - data.duration),
             ];
 
             const pie_dataValues_2 = [...data.projects.values(), data.absence];
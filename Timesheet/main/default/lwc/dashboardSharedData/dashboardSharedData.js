@@ -4,6 +4,7 @@
  */
 
 import getDashboardTimesheetLineItemsDetails from "@salesforce/apex/GetDashboardTimesheetLineItems.getDashboardTimesheetLineItemsDetails";
+import { getWeekStartDay, getHolidays, daysSinceWeekStart, HOLIDAY_CATEGORY } from "c/timesheetConfig";
 
 // Cache storage for optimizing repeated requests
 let cachedData = {};  // Stores processed data per user_id
@@ -12,7 +13,9 @@ let fetchPromises = {};  // Stores ongoing fetch promises per user_id
 /**
  * @description Fetches and processes chart data for a given user ID
  * @param {String} user_id - The user ID to fetch data for
- * @returns {Promise<Object|Number>} Processed chart data or 0 if no data
+ * @returns {Promise<Object|Number>} Processed chart data or 0 if no data. Weeks are bucketed
+ * from the user's week start day, which is returned as weekStart (getDay() index). The user's
+ * public holidays are returned as holidays for the charts to take off their targets.
  */
 export async function getChartData(user_id) {
 
@@ -23,8 +26,12 @@ export async function getChartData(user_id) {
 
     // Prevent duplicate API calls for the same user_id
     if (!fetchPromises[user_id]) {
-        fetchPromises[user_id] = getDashboardTimesheetLineItemsDetails({userID: user_id })
-            .then((data) => {
+        fetchPromises[user_id] = Promise.all([
+            getDashboardTimesheetLineItemsDetails({userID: user_id }),
+            getWeekStartDay({ userId: user_id }),
+            getHolidays({ userId: user_id })
+        ])
+            .then(([data, weekStart, holidays]) => {
 
                 let processedData;
 
@@ -32,7 +39,7 @@ export async function getChartData(user_id) {
                 if(data.length==0) {
                     processedData = 0;
                 } else {
-                    processedData = processData(data);
+                    processedData = processData(data, weekStart, holidays);
                 }
 
                 // Cache the processed data
@@ -52,9 +59,11 @@ export async function getChartData(user_id) {
 /**
  * @description Processes raw timesheet data into structured format
  * @param {Array} abc - Raw timesheet data array
+ * @param {Number} weekStart - getDay() index of the first day of the week
+ * @param {Map<String, Object>} holidays - Public holidays keyed by 'YYYY-MM-DD' (see getHolidays)
  * @returns {Object} Processed data with year, month, week, and day aggregations
  */
-function processData(abc) {
+function processData(abc, weekStart, holidays) {
     // Main data storage structures
     const years_months = new Map();
     const weeks = new Map();
@@ -103,13 +112,13 @@ function processData(abc) {
         return new Date(Date.UTC(dt.getUTCFullYear(), dt.getUTCMonth(), dt.getUTCDate()));
     }
 
-    // Helper: get Monday (start of week) in UTC for a given date (returns a Date at UTC midnight)
-    function getMondayUTC(date) {
+    // Helper: get the start of week in UTC for a given date (returns a Date at UTC midnight)
+    function getWeekStartUTC(date) {
         const dt = parseToUTCDate(date); // dt is UTC midnight of that date
         const day = dt.getUTCDay(); // 0 (Sun) - 6 (Sat)
-        const daysToSubtract = (day + 6) % 7; // converts so Monday -> 0, Sunday -> 6
-        const mondayTime = dt.getTime() - (daysToSubtract * millisecondsInDay);
-        return new Date(Date.UTC(new Date(mondayTime).getUTCFullYear(), new Date(mondayTime).getUTCMonth(), new Date(mondayTime).getUTCDate()));
+        const daysToSubtract = daysSinceWeekStart(day, weekStart); // week start -> 0, day before it -> 6
+        const startTime = dt.getTime() - (daysToSubtract * millisecondsInDay);
+        return new Date(Date.UTC(new Date(startTime).getUTCFullYear(), new Date(startTime).getUTCMonth(), new Date(startTime).getUTCDate()));
     }
 
     // Helper: format a Date (UTC) similarly to Date.prototype.toDateString() but using UTC values
@@ -134,7 +143,7 @@ function processData(abc) {
 
     // Get reference date for week calculations (use last element like original code but normalize to UTC)
     const minDate = parseToUTCDate(abc[abc.length - 1].dbt__Date__c);
-    const startOfFirstWeek = getMondayUTC(minDate);
+    const startOfFirstWeek = getWeekStartUTC(minDate);
 
     /**
      * @description Generates formatted date range string for a week
@@ -150,15 +159,20 @@ function processData(abc) {
     }
 
     // Process each timesheet entry
-    abc.forEach(({ dbt__Type__c, dbt__Date__c, Name, duration }) => {
+    abc.forEach(({ dbt__Type__c, dbt__Date__c, dbt__Absence_Category__c, Name, duration }) => {
         // Parse and anchor date to UTC midnight to avoid local timezone shifts
         const dateUTC = parseToUTCDate(dbt__Date__c);
 
+        // Calendar holidays come off the targets instead of counting as logged hours
+        if (dbt__Absence_Category__c === HOLIDAY_CATEGORY && holidays.has(dateUTC.toISOString().slice(0, 10))) {
+            return;
+        }
+
         // Extract date components using UTC methods
         const year = dateUTC.getUTCFullYear();
         const month = getMonthShortLowerUTC(dateUTC); // short month in lowercase
         const day = formatDateStringUTC(dateUTC); // formatted day string similar to toDateString but UTC-aware (day zero-padded)
-        const week = Math.floor((getMondayUTC(dateUTC).getTime() - startOfFirstWeek.getTime()) / millisecondsInWeek) + 1;
+        const week = Math.floor((getWeekStartUTC(dateUTC).getTime() - startOfFirstWeek.getTime()) / millisecondsInWeek) + 1;
 
         // Initialize or get year data
         const yearData = getOrSet(years_months, year, {
@@ -278,5 +292,5 @@ function processData(abc) {
     });
 
     // Return processed data structure
-    return { yearItems, monthItems, weekItems, dayItems, getStartAndEndDate};
+    return { yearItems, monthItems, weekItems, dayItems, getStartAndEndDate, weekStart, holidays};
 }
\ No newline at end of file
@@ -7,6 +7,7 @@ import { LightningElement, api, track, wire } from 'lwc';
 import { loadScript } from 'lightning/platformResourceLoader';
 import ChartJS from '@salesforce/resourceUrl/jsChart';
 import { getChartData } from 'c/dashboardSharedData';
+import { getTimesheetConfig, getDailyTargets } from 'c/timesheetConfig';
 import USER_ID from '@salesforce/user/Id';
 
 // LMS imports for handling user selection
@@ -21,6 +22,9 @@ export default class dashboardWeeklyChart extends LightningElement {
     isChartJsInitialized = false;
     currentWeekIndex = 0; // Initialize to the latest week
 
+    // Daily target hours, replaced with Timesheet_Default_Value__mdt values once loaded
+    dailyTargets = [8, 8, 8, 8, 8, 8, 8];
+
     // LMS configuration
     @wire(MessageContext)
     messageContext;
@@ -114,8 +118,10 @@ export default class dashboardWeeklyChart extends LightningElement {
      */
     initializeChart() {
         if (this.selectedUserId) {
-            getChartData(this.selectedUserId)
-                .then(data => {
+            Promise.all([getChartData(this.selectedUserId), getTimesheetConfig()])
+                .then(([data, config]) => {
+                    // Targets follow the week order used to bucket the data
+                    this.dailyTargets = getDailyTargets(config, data ? data.weekStart : undefined);
                     this.chartData = data;
                     this.showChart();
                 })
@@ -208,7 +214,7 @@ export default class dashboardWeeklyChart extends LightningElement {
         let barDataAttendance = [];
         let barDataDurations = [];
         let barLabels = [];
-        let barTarget = [8, 8, 8, 8, 8, 8, 8]; // Daily target hours
+        let barTarget = [...this.dailyTargets]; // Daily target hours
 
         let dayData = [];
 
@@ -235,6 +241,13 @@ export default class dashboardWeeklyChart extends LightningElement {
             const dayKey = this.formatDateKeyUTC(dUTC);
             barLabels.push(dayKey);
 
+            // Public holidays lower that day's target
+            const holiday = this.chartData.holidays?.get(dUTC.toISOString().slice(0, 10));
+            if (holiday) {
+                const dayIndex = barLabels.length - 1;
+                barTarget[dayIndex] = Math.max(0, barTarget[dayIndex] - holiday.hours);
+            }
+
             // Process project data
             barDataProjects.forEach((value, key) => {
                 if (dayData[dayKey] && dayData[dayKey].projects.has(key)) {
@@ -0,0 +1,135 @@
+/**
+ * @file managerTimesheetEntry.js
+ * @description LWC for managers entering time on a team member's behalf: pick an employee and a week,
+ * and the weekly grid (testLineItem) opens that employee's timesheet, creating it when needed.
+ * Line items saved here record the manager in Timesheet_Line_Item__c.Entered_By__c.
+ */
+
+import { LightningElement, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getManagerEmployeeDetails from '@salesforce/apex/GetDashboardManagerEmployeeDetails.getManagerEmployeeDetails';
+import getTimesheetForDate from '@salesforce/apex/WeeklyTimesheetController.getTimesheetForDate';
+import createTimesheet from '@salesforce/apex/WeeklyTimesheetController.createTimesheet';
+import { getWeekStartDay, daysSinceWeekStart } from 'c/timesheetConfig';
+import USER_ID from '@salesforce/user/Id';
+
+const DAYS_PER_WEEK = 7;
+
+export default class ManagerTimesheetEntry extends LightningElement {
+    // Team members reporting to the current user
+    @track employees = [];
+    selectedEmployeeId;
+    // Any date in the week to enter, as YYYY-MM-DD
+    selectedDate = this.formatDateYMD(new Date());
+    // Timesheet opened in the grid
+    timesheetId;
+    // Week with no timesheet yet ({ startDate, endDate }), offered for creation
+    missingPeriod;
+    isLoading = false;
+    error;
+
+    connectedCallback() {
+        this.loadEmployees();
+    }
+
+    /**
+     * @description Fetches the manager's team members for the picker
+     */
+    loadEmployees() {
+        getManagerEmployeeDetails({ managerId: USER_ID })
+            .then((result) => {
+                this.employees = result.map((emp) => ({
+                    label: emp.Name,
+                    value: emp.Id
+                }));
+                this.error = undefined;
+            })
+            .catch((error) => {
+                this.error = error.body?.message || error.message;
+                this.employees = [];
+            });
+    }
+
+    get hasEmployees() {
+        return this.employees.length > 0;
+    }
+
+    get missingPeriodLabel() {
+        return this.missingPeriod ? `${this.missingPeriod.startDate} to ${this.missingPeriod.endDate}` : '';
+    }
+
+    handleEmployeeChange(event) {
+        this.selectedEmployeeId = event.detail.value;
+        this.loadTimesheet();
+    }
+
+    handleDateChange(event) {
+        this.selectedDate = event.target.value;
+        this.loadTimesheet();
+    }
+
+    /**
+     * @description Opens the selected employee's timesheet for the selected week, or offers to create it
+     */
+    loadTimesheet() {
+        this.missingPeriod = undefined;
+        if (!this.selectedEmployeeId || !this.selectedDate) {
+            this.timesheetId = undefined;
+            return;
+        }
+        this.isLoading = true;
+        getTimesheetForDate({ employeeId: this.selectedEmployeeId, periodDate: this.selectedDate })
+            .then((timesheet) => {
+                if (timesheet) {
+                    this.timesheetId = timesheet.Id;
+                    return null;
+                }
+                this.timesheetId = undefined;
+                return getWeekStartDay({ employeeId: this.selectedEmployeeId }).then((weekStart) => {
+                    this.missingPeriod = this.buildPeriodFor(this.selectedDate, weekStart);
+                });
+            })
+            .catch((error) => {
+                this.showToast('Error', error.body?.message || error.message, 'error');
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    handleCreateTimesheet() {
+        const { startDate, endDate } = this.missingPeriod;
+        this.isLoading = true;
+        createTimesheet({ employeeId: this.selectedEmployeeId, startDate, endDate })
+            .then((timesheet) => {
+                this.showToast('Success', `${timesheet.Name} created`, 'success');
+                this.missingPeriod = undefined;
+                this.timesheetId = timesheet.Id;
+            })
+            .catch((error) => {
+                this.showToast('Error', error.body?.message || error.message, 'error');
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    // The week holding dateStr, starting on the employee's week start day
+    buildPeriodFor(dateStr, weekStart) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        const date = new Date(y, m - 1, d);
+        const start = new Date(y, m - 1, d - daysSinceWeekStart(date.getDay(), weekStart));
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + DAYS_PER_WEEK - 1);
+        return { startDate: this.formatDateYMD(start), endDate: this.formatDateYMD(end) };
+    }
+
+    formatDateYMD(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
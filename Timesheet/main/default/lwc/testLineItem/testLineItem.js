@@ -4,11 +4,40 @@ import { refreshApex } from '@salesforce/apex';
 import getWeeklyTimesheetItems from '@salesforce/apex/WeeklyTimesheetController.getWeeklyTimesheetItems';
 import getProjects from '@salesforce/apex/WeeklyTimesheetController.getProjects';
 import getProjectActivities from '@salesforce/apex/WeeklyTimesheetController.getProjectActivities';
+import getProjectChargeCodes from '@salesforce/apex/WeeklyTimesheetController.getProjectChargeCodes';
 import getTimesheet from '@salesforce/apex/WeeklyTimesheetController.getTimesheet';
 import getEmployeeTimesheetItems from '@salesforce/apex/WeeklyTimesheetController.getEmployeeTimesheetItems';
-import upsertLineItems from '@salesforce/apex/WeeklyTimesheetController.upsertLineItems';
-import deleteTimesheetLineItems from '@salesforce/apex/WeeklyTimesheetController.deleteTimesheetLineItems';
+import saveLineItems from '@salesforce/apex/WeeklyTimesheetController.saveLineItems';
+import getSubmissionStatus from '@salesforce/apex/WeeklyTimesheetController.getSubmissionStatus';
+import submitForApproval from '@salesforce/apex/WeeklyTimesheetController.submitForApproval';
+import getTimesheetForDate from '@salesforce/apex/WeeklyTimesheetController.getTimesheetForDate';
+import createTimesheet from '@salesforce/apex/WeeklyTimesheetController.createTimesheet';
+import getLeaveBalance from '@salesforce/apex/LeaveBalanceCalculator.getLeaveBalance';
+import getRowNotes from '@salesforce/apex/WeeklyTimesheetController.getRowNotes';
+import saveRowNotes from '@salesforce/apex/WeeklyTimesheetController.saveRowNotes';
+import getTemplates from '@salesforce/apex/TimesheetTemplateController.getTemplates';
+import saveTemplate from '@salesforce/apex/TimesheetTemplateController.saveTemplate';
+import deleteTemplate from '@salesforce/apex/TimesheetTemplateController.deleteTemplate';
+import getFavourites from '@salesforce/apex/TimesheetTemplateController.getFavourites';
+import saveFavourites from '@salesforce/apex/TimesheetTemplateController.saveFavourites';
+import getRowOrder from '@salesforce/apex/TimesheetTemplateController.getRowOrder';
+import saveRowOrder from '@salesforce/apex/TimesheetTemplateController.saveRowOrder';
 import { getPicklistValues, getObjectInfo } from 'lightning/uiObjectInfoApi';
+import CURRENCY from '@salesforce/i18n/currency';
+import { notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+import { validateLineItems, groupErrorsByKey, DEFAULT_MAX_DAILY_HOURS } from 'c/timesheetValidation';
+import { getTimesheetConfig, getWeekStartDay, getHolidays, isLockedStatus, HOLIDAY_CATEGORY } from 'c/timesheetConfig';
+import {
+    parseDuration,
+    formatDuration,
+    roundToIncrement,
+    getDurationFormat,
+    saveDurationFormat,
+    DURATION_FORMAT_DECIMAL,
+    DURATION_FORMAT_HOURS_MINUTES
+} from 'c/timesheetDuration';
+import { calculateOvertime, rowOvertime, billableAmount } from 'c/timesheetOvertime';
+import canEditLockedTimesheets from '@salesforce/customPermission/dbt__Edit_Locked_Timesheets';
 import TIMESHEET_LINE_ITEM_OBJECT from '@salesforce/schema/Timesheet_Line_Item__c';
 import ACTIVITY_CATEGORY_FIELD from '@salesforce/schema/Timesheet_Line_Item__c.Activity__c';
 import ABSENCE_CATEGORY_FIELD from '@salesforce/schema/Timesheet_Line_Item__c.Absence_Category__c';
@@ -19,7 +48,32 @@ import EMPLOYEE_OBJECT from '@salesforce/schema/Employee__c';
 import PROJECT_EMPLOYEE_OBJECT from '@salesforce/schema/Project_Employee__c';
 import TIMESHEET_LINE_OBJECT from '@salesforce/schema/Timesheet_Line_Item__c';
 
-
+// Prefix for the per-timesheet draft kept in browser storage
+const DRAFT_STORAGE_PREFIX = 'dbt__timesheetDraft_';
+// Prefix for the employee's running timer, shared by every open tab
+const TIMER_STORAGE_PREFIX = 'dbt__timesheetTimer_';
+// Maximum number of grid states kept for undo
+const HISTORY_LIMIT = 50;
+// Periods longer than this are split into week tabs
+const DAYS_PER_WEEK = 7;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// getDay() index of Monday, used until the employee's week start is loaded
+const DEFAULT_WEEK_START = 1;
+// What the copy dialog brings over from a previous timesheet
+const COPY_MODE_ROWS = 'rows';
+const COPY_MODE_HOURS = 'hours';
+const COPY_MODE_DESCRIPTIONS = 'descriptions';
+// Prefix marking favourites in the project and activity comboboxes
+const FAVOURITE_PREFIX = '\u2605 ';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Sequence for row keys; rows of one project share projectName, so it cannot be the key
+let rowKeySequence = 0;
+
+// Totals are summed from decimals such as 0.25; keep them to two places like Duration__c
+function roundHours(value) {
+    return Math.round(value * 100) / 100;
+}
 
 export default class TestLineItem extends LightningElement {
     timesheetInfo;
@@ -67,13 +121,31 @@ export default class TestLineItem extends LightningElement {
     }
   }
 
-    @api recordId;
+    // Timesheet of the record page, or the one picked by a host component such as managerTimesheetEntry.
+    // A new value after the grid has loaded swaps the grid over, as week navigation does; unsaved
+    // edits stay in the local draft of the timesheet they belong to.
+    @api
+    get recordId() {
+        return this.requestedTimesheetId;
+    }
+    set recordId(value) {
+        const previous = this.requestedTimesheetId;
+        this.requestedTimesheetId = value;
+        if (previous && value && value !== this.timesheetId) {
+            this.openTimesheet(value);
+        }
+    }
+    requestedTimesheetId;
+    // Timesheet shown in the grid; starts as the record page's and changes with week navigation
+    timesheetId;
     @track projectsList = [];
     @track projectOptions = [];
     // Common Activity picklist options from field metadata
     @track activityOptions= [];
     // Map of projectId -> array of activity option objects
     ProjectActivityMap;
+    // Map of projectId -> charge code options active during this timesheet
+    ProjectChargeCodeMap;
     @track absenceList = [];
     @track absenceOptions = [];
     projectIds = [];
@@ -82,24 +154,129 @@ export default class TestLineItem extends LightningElement {
     @track prevTimesheets= [];
     prevTimesheetValue;
 
-    @track projectsTotals = [0, 0, 0, 0, 0, 0, 0];
-    @track absenceTotals = [0, 0, 0, 0, 0, 0, 0];
-    @track grandTotals = [0, 0, 0, 0, 0, 0, 0];
-    @track billableAmounts = [0, 0, 0, 0, 0, 0, 0];
+    // Per-day totals, one slot for each day in dayList
+    @track projectsTotals = [];
+    @track absenceTotals = [];
+    @track grandTotals = [];
+    @track billableAmounts = [];
+    // { daily, weekly, total } overtime hours of each day
+    overtimeTotals = [];
+    // Totals for the whole period, defined like the Timesheet__c rollups:
+    // { total, billableHours, nonBillableHours, absenceHours, regularHours, overtimeHours, billableAmount }
+    @track weekSummary = {};
+    currencyCode = CURRENCY;
+
+    // Daily hour limit from Timesheet_Default_Value__mdt
+    maxDailyHours = DEFAULT_MAX_DAILY_HOURS;
 
     TimesheetStartDate='';
     TimeSheetEndDate='';
     TimeSheetName='';
     EmployeeID='';
-
-    previousRecordIDs;
+    // Timesheet__c.Status__c; Submitted and Approved timesheets are shown read-only
+    timesheetStatus;
+
+    // Week navigation: the date to move to once unsaved changes are dealt with,
+    // and the period offered for a new timesheet when the employee has none for it
+    pendingNavigationDate;
+    showUnsavedDialog = false;
+    missingPeriod;
+    showCreateTimesheetDialog = false;
+    isNavigating = false;
+
+    // Line item Id -> { signature, version } of the record as last loaded or saved.
+    // version is the server LastModifiedDate, sent back on save to detect concurrent edits.
+    loadedLineItems = new Map();
+
+    // Problems found by runValidation(), listed in the summary panel
+    @track validationErrors = [];
+
+    // Cells another user changed since load, shown in the conflict dialog
+    @track conflicts = [];
+    showConflictDialog = false;
+
+    // Rows of the previous timesheet offered in the copy dialog
+    @track copyRows = [];
+    copyMode = COPY_MODE_ROWS;
+    showCopyDialog = false;
+
+    // Saved row templates of this employee and the one picked in the toolbar
+    @track templates = [];
+    selectedTemplateId;
+    showTemplateDialog = false;
+    templateName = '';
+    templateIncludeHours = false;
+
+    // Favourite project/activity pairs ({ project, activity }), listed first in the comboboxes
+    @track favourites = [];
+
+    // Weekly row notes of this timesheet as last loaded or saved
+    // ([{ type, projectName, activityName, chargeCode, absenceName, billable, note }]),
+    // and the same list as JSON to tell whether the notes on screen changed
+    savedRowNotes = [];
+    loadedRowNotes = '[]';
+    // Row identities in the order the employee dragged the rows to, kept across timesheets
+    rowOrder = [];
+    // Identities of the rows whose description textareas are hidden
+    collapsedRows = new Set();
+    // Row being dragged ({ dataFor, index })
+    dragSource;
+    // Public holidays of the employee's calendar ({ name, hours } keyed by 'YYYY-MM-DD')
+    holidays = new Map();
+
+    // Running timer ({ project, activity, chargeCode, label, startedAt }) read from browser storage
+    activeTimer;
+    timerElapsed = '';
+    timerInterval;
+    storageHandler;
+    // Typed durations and timer time are rounded to this many minutes (Timesheet_Default_Value__mdt)
+    roundingIncrementMinutes = 15;
+    // Duration cells show decimal hours or h:mm, per the user's preference
+    durationFormat = getDurationFormat();
+    // Working days are counted from Monday (Timesheet_Default_Value__mdt)
+    workingDaysPerWeek = 5;
+    workingHoursPerDay = 8;
+    // PTO balance of the period's year without this timesheet's line items (LeaveBalanceCalculator);
+    // the hours in the grid are added on screen
+    leaveBalance;
+    // PTO hours in the grid when it was last loaded or saved
+    loadedPtoHours = 0;
+    // Saves that take PTO past the balance are blocked rather than warned about (Timesheet_Default_Value__mdt)
+    blockPtoOverBalance = false;
+
+    // Pre-submission checks shown in the submit dialog
+    @track submissionChecklist = [];
+    showSubmitDialog = false;
+    submitJustification = '';
+    isSubmitting = false;
+
+    // Bulk fill dialog asking for the hours of a row action
+    showFillDialog = false;
+    fillAction;
+    fillRowRef;
+    fillHours;
 
     wiredTimesheetResult;
     error;
 
+    // Unsaved draft found in browser storage that is newer than the server data
+    pendingDraft;
+    showDraftBanner = false;
+
+    // Undo/redo stacks of grid snapshots ({ projectsList, absenceList })
+    undoStack = [];
+    redoStack = [];
+    keydownHandler;
+
     
-    dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+    // 'YYYY-MM-DD' for every day from the timesheet's Start_Date__c to End_Date__c
     dayList=[];
+    // Week tab of each entry in dayList; a new week begins on the employee's week start day
+    dayWeeks = [];
+    // Index of the week tab shown when the period is longer than a week
+    activeWeek = 0;
+    // getDay() index of the employee's first day of the week
+    weekStart = DEFAULT_WEEK_START;
 
     // Get object info to retrieve recordTypeId
     @wire(getObjectInfo, { objectApiName: TIMESHEET_LINE_ITEM_OBJECT })
@@ -175,26 +352,57 @@ export default class TestLineItem extends LightningElement {
     }
 
     connectedCallback() {
+        this.keydownHandler = this.handleKeyDown.bind(this);
+        this.template.addEventListener('keydown', this.keydownHandler);
+
+        // Another tab starting or stopping the timer updates this one
+        this.storageHandler = this.handleStorageChange.bind(this);
+        window.addEventListener('storage', this.storageHandler);
+
+        const configPromise = getTimesheetConfig().then(config => {
+            this.maxDailyHours = config.maxWorkingHoursPerDay;
+            this.roundingIncrementMinutes = config.roundingIncrementMinutes;
+            this.workingDaysPerWeek = config.workingDaysPerWeek;
+            this.workingHoursPerDay = config.workingHoursPerDay;
+            this.blockPtoOverBalance = config.blockPtoOverBalance;
+        });
+
+        this.timesheetId = this.recordId;
+        this.loadGrid(configPromise);
+    }
+
+    // Loads the timesheet in timesheetId and its line items into the grid.
+    // ready holds back the rows until anything else they depend on has loaded.
+    loadGrid(ready) {
         const fetchPromise = new Promise((resolve, reject) => {
-            this.fetchTimesheetData(this.recordId, result => {
+            this.fetchTimesheetData(this.timesheetId, result => {
                 // console.log('timesheet data',JSON.stringify(result));
                 this.wiredTimesheetResult = result;
                 resolve(result);
             });
         });
 
-        Promise.all([
+        return Promise.all([
             fetchPromise,
-            this.loadTimesheet()
+            this.loadTimesheet(),
+            ready
         ])
             .then(([timesheetData , _loadResult]) => {
                 this.processTimesheetData(timesheetData, true);
+                this.checkForDraft(timesheetData);
+                this.syncTimer();
             })
             .catch(error => {
                 console.error(error);
             });
     }
 
+    disconnectedCallback() {
+        this.template.removeEventListener('keydown', this.keydownHandler);
+        window.removeEventListener('storage', this.storageHandler);
+        this.stopTimerTicker();
+    }
+
     fetchTimesheetData(Id, callback) {
         getWeeklyTimesheetItems({ timesheetId: Id })
             .then(result => {
@@ -206,19 +414,28 @@ export default class TestLineItem extends LightningElement {
     }
 
     loadTimesheet() {
-        return getTimesheet({ timesheetId: this.recordId })
+        return getTimesheet({ timesheetId: this.timesheetId })
             .then(result => {
                 // console.log('load timesheet',JSON.stringify(result));
                 this.EmployeeID = result.dbt__Employee__c;
                 this.TimesheetStartDate = result.dbt__Start_Date__c;
                 this.TimeSheetEndDate = result.dbt__End_Date__c;
-                this.TimeSheetName = result.name;
+                this.TimeSheetName = result.Name;
+                this.timesheetStatus = result.dbt__Status__c;
+                return getWeekStartDay({ employeeId: this.EmployeeID });
             })
-            .then(() => {
+            .then(weekStart => {
+                this.weekStart = weekStart;
                 this.createDays();
                 return Promise.all([
                     this.loadProjects(),
-                    this.loadPrevTimesheets()
+                    this.loadPrevTimesheets(),
+                    this.loadTemplates(),
+                    this.loadFavourites(),
+                    this.loadRowOrder(),
+                    this.loadRowNotes(),
+                    this.loadHolidays(),
+                    this.loadLeaveBalance()
                 ]);
             })
             .catch(error => {
@@ -226,6 +443,26 @@ export default class TestLineItem extends LightningElement {
             });
     }
 
+    loadHolidays() {
+        return getHolidays({ employeeId: this.EmployeeID })
+            .then(holidays => {
+                this.holidays = holidays;
+            });
+    }
+
+    loadLeaveBalance() {
+        const start = this.localDateFromServer(this.TimesheetStartDate);
+        if (!start) return Promise.resolve();
+        return getLeaveBalance({ employeeId: this.EmployeeID, year: start.getFullYear(), excludeTimesheetId: this.timesheetId })
+            .then(balance => {
+                this.leaveBalance = balance;
+            })
+            .catch(error => {
+                this.leaveBalance = undefined;
+                console.error('Error loading leave balance', error);
+            });
+    }
+
     createDays() {
         // Defensive: if TimesheetStartDate is already a Date, normalize it; if it's a string, parse safely
         const startDateObj = (this.TimesheetStartDate instanceof Date)
@@ -238,14 +475,249 @@ export default class TestLineItem extends LightningElement {
             return;
         }
 
-        this.dayList = Array.from({ length: 7 }, (_, i) => {
+        // One column per day of the period; fall back to a week if the end date is missing
+        const endDateObj = this.localDateFromServer(this.TimeSheetEndDate);
+        const length = (endDateObj && endDateObj >= startDateObj)
+            ? Math.round((endDateObj - startDateObj) / MS_PER_DAY) + 1
+            : DAYS_PER_WEEK;
+
+        this.dayList = Array.from({ length }, (_, i) => {
             const temp = new Date(startDateObj.getFullYear(), startDateObj.getMonth(), startDateObj.getDate() + i);
             return this.formatDateYMD(temp);
         });
+
+        // Longer periods are split into tabs at each week start day
+        let week = 0;
+        this.dayWeeks = this.dayList.map((date, index) => {
+            if (index > 0 && length > DAYS_PER_WEEK && this.localDateFromServer(date).getDay() === this.weekStart) {
+                week++;
+            }
+            return week;
+        });
+        this.activeWeek = 0;
+        this.resetTotals();
+    }
+
+    get hasMultipleWeeks() {
+        return this.dayWeeks.length > 0 && this.dayWeeks[this.dayWeeks.length - 1] > 0;
+    }
+
+    get weekTabs() {
+        const tabs = [];
+        this.dayList.forEach((date, index) => {
+            const week = this.dayWeeks[index];
+            if (!tabs[week]) {
+                tabs[week] = { value: String(week), first: date };
+            }
+            tabs[week].last = date;
+        });
+        return tabs.map(tab => ({
+            value: tab.value,
+            label: `Week ${Number(tab.value) + 1} (${tab.first} - ${tab.last})`
+        }));
+    }
+
+    get activeWeekValue() {
+        return String(this.activeWeek);
+    }
+
+    weekOfDay(dayIndex) {
+        return this.dayWeeks[dayIndex] || 0;
+    }
+
+    isDayHidden(dayIndex) {
+        return this.weekOfDay(dayIndex) !== this.activeWeek;
+    }
+
+    handleWeekChange(event) {
+        this.showWeek(parseInt(event.target.value, 10));
+    }
+
+    showWeek(week) {
+        if (week === this.activeWeek) return;
+        this.activeWeek = week;
+        [...this.projectsList, ...this.absenceList].forEach(row => {
+            row.dates.forEach(day => this.refreshCellClass(day));
+        });
+        this.markProjectSubtotals();
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
+    }
+
+    // Header and totals cells for each day, hidden outside the active week
+    get dayColumns() {
+        return this.dayList.map((date, index) => {
+            const hidden = this.isDayHidden(index) ? ' slds-hide' : '';
+            return {
+                key: date,
+                date,
+                index,
+                name: WEEKDAY_NAMES[this.localDateFromServer(date).getDay()],
+                holiday: this.holidays.get(date)?.name,
+                headerClass: 'slds-text-title_caps' + hidden,
+                totalClass: 'slds-text-title_bold' + hidden,
+                sectionClass: 'slds-text-title_bold slds-theme_shade slds-p-around_x-small' + hidden,
+                billable: this.billableAmounts[index] || 0,
+                grand: this.grandTotals[index] || 0,
+                project: this.projectsTotals[index] || 0,
+                absence: this.absenceTotals[index] || 0,
+                overtime: this.overtimeTotals[index]?.total || 0,
+                overtimeClass: 'slds-text-title_bold' + (this.overtimeTotals[index]?.total > 0 ? ' overtime-cell' : '') + hidden,
+                overtimeTitle: this.overtimeTitle(this.overtimeTotals[index])
+            };
+        });
+    }
+
+    overtimeTitle(overtime) {
+        if (!overtime || overtime.total <= 0) {
+            return '';
+        }
+        const parts = [];
+        if (overtime.daily > 0) {
+            parts.push(`${overtime.daily} h beyond the ${this.workingHoursPerDay} h day`);
+        }
+        if (overtime.weekly > 0) {
+            parts.push(`${overtime.weekly} h beyond the ${this.workingHoursPerDay * this.workingDaysPerWeek} h week`);
+        }
+        return 'Overtime: ' + parts.join(', ');
+    }
+
+    // Week navigation. The grid moves to the employee's neighbouring timesheet in place;
+    // any date in the target period identifies it.
+    get weekPickerValue() {
+        return this.TimesheetStartDate;
+    }
+
+    get isWeekNavigationDisabled() {
+        return this.isNavigating || !this.EmployeeID || this.dayList.length === 0;
+    }
+
+    handlePreviousWeek() {
+        const start = this.localDateFromServer(this.TimesheetStartDate);
+        if (!start) return;
+        this.navigateToDate(this.formatDateYMD(new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)));
+    }
+
+    handleNextWeek() {
+        const end = this.localDateFromServer(this.dayList[this.dayList.length - 1]);
+        if (!end) return;
+        this.navigateToDate(this.formatDateYMD(new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1)));
+    }
+
+    handleWeekPick(event) {
+        const date = event.target.value;
+        if (!date) return;
+        // The picker keeps showing the current period until the move happens
+        event.target.value = this.TimesheetStartDate;
+        this.navigateToDate(date);
+    }
+
+    navigateToDate(date) {
+        if (this.dayIndexForDate(date) >= 0) return;
+        if (this.hasUnsavedChanges()) {
+            this.pendingNavigationDate = date;
+            this.showUnsavedDialog = true;
+            return;
+        }
+        this.goToDate(date);
+    }
+
+    handleUnsavedCancel() {
+        this.showUnsavedDialog = false;
+        this.pendingNavigationDate = undefined;
+    }
+
+    handleUnsavedSave() {
+        const date = this.pendingNavigationDate;
+        this.showUnsavedDialog = false;
+        this.pendingNavigationDate = undefined;
+        this.saveGrid({ quiet: true }).then(saved => {
+            // Stay on this week when something still needs fixing
+            if (saved && !this.showConflictDialog) {
+                this.goToDate(date);
+            }
+        });
+    }
+
+    handleUnsavedDiscard() {
+        const date = this.pendingNavigationDate;
+        this.showUnsavedDialog = false;
+        this.pendingNavigationDate = undefined;
+        this.clearDraft();
+        this.goToDate(date);
+    }
+
+    goToDate(date) {
+        this.isNavigating = true;
+        getTimesheetForDate({ employeeId: this.EmployeeID, periodDate: date })
+            .then(timesheet => {
+                if (timesheet) {
+                    return this.openTimesheet(timesheet.Id);
+                }
+                this.missingPeriod = this.buildPeriodFor(date);
+                this.showCreateTimesheetDialog = true;
+                return null;
+            })
+            .catch(error => {
+                this.showToast('Error', error.body?.message || error.message, 'error');
+            })
+            .finally(() => {
+                this.isNavigating = false;
+            });
+    }
+
+    // Period of the same length as the current one, starting on the employee's week start day
+    buildPeriodFor(dateStr) {
+        const date = this.localDateFromServer(dateStr);
+        const offset = (date.getDay() - this.weekStart + DAYS_PER_WEEK) % DAYS_PER_WEEK;
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+        const length = this.dayList.length || DAYS_PER_WEEK;
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + length - 1);
+        return { startDate: this.formatDateYMD(start), endDate: this.formatDateYMD(end) };
+    }
+
+    get missingPeriodLabel() {
+        return this.missingPeriod ? `${this.missingPeriod.startDate} to ${this.missingPeriod.endDate}` : '';
+    }
+
+    handleCreateTimesheetCancel() {
+        this.showCreateTimesheetDialog = false;
+        this.missingPeriod = undefined;
+    }
+
+    handleCreateTimesheetConfirm() {
+        const { startDate, endDate } = this.missingPeriod;
+        this.showCreateTimesheetDialog = false;
+        this.missingPeriod = undefined;
+        this.isNavigating = true;
+        createTimesheet({ employeeId: this.EmployeeID, startDate, endDate })
+            .then(timesheet => {
+                this.showToast('Success', `${timesheet.Name} created`, 'success');
+                return this.openTimesheet(timesheet.Id);
+            })
+            .catch(error => {
+                this.showToast('Error', error.body?.message || error.message, 'error');
+            })
+            .finally(() => {
+                this.isNavigating = false;
+            });
+    }
+
+    // Swaps the grid over to another timesheet of the employee
+    openTimesheet(timesheetId) {
+        this.timesheetId = timesheetId;
+        this.pendingDraft = undefined;
+        this.showDraftBanner = false;
+        this.conflicts = [];
+        this.prevTimesheetValue = undefined;
+        this.template.querySelectorAll('lightning-combobox[data-id="prevTimesheet"]').forEach(cb => {
+            cb.value = undefined;
+        });
+        return this.loadGrid();
     }
 
     loadPrevTimesheets(){
-        getEmployeeTimesheetItems({ empId: this.EmployeeID, recordId: this.recordId})
+        getEmployeeTimesheetItems({ empId: this.EmployeeID, recordId: this.timesheetId})
             .then(result => {
                 this.prevTimesheets = result.map(item => ({
                     label: item.Name,
@@ -264,7 +736,14 @@ export default class TestLineItem extends LightningElement {
                     label: proj.dbt__Project__r.Name,
                     value: proj.dbt__Project__c,
                     billable: proj.dbt__Project__r?.dbt__Billable__c,
-                    hourly_rate: proj.dbt__Hourly_Rate__c || 0 
+                    hourly_rate: proj.dbt__Hourly_Rate__c || 0,
+                    // Rate history, latest Effective_From__c first
+                    rates: (proj.dbt__Hourly_Rates__r || []).map(rate => ({
+                        rate: rate.dbt__Hourly_Rate__c || 0,
+                        from: rate.dbt__Effective_From__c,
+                        to: rate.dbt__Effective_To__c
+                    })),
+                    overtimeMultiplier: proj.dbt__Project__r?.dbt__Overtime_Multiplier__c
                 }));
                 this.projectIds = result.map(proj => proj.dbt__Project__c);
             })
@@ -291,17 +770,50 @@ export default class TestLineItem extends LightningElement {
                         console.log('ProjectActivityMap ready');
                     })
             })
+            .then(() => this.loadChargeCodes())
+            .catch(error => {
+                console.error(error);
+            });
+    }
+
+    loadChargeCodes() {
+        return getProjectChargeCodes({
+            projectIds: this.projectIds,
+            startDate: this.TimesheetStartDate,
+            endDate: this.TimeSheetEndDate
+        })
+            .then(result => {
+                this.ProjectChargeCodeMap = new Map();
+                result.forEach(item => {
+                    const pid = item.dbt__Project__c;
+                    const arr = this.ProjectChargeCodeMap.get(pid) || [];
+                    arr.push({ label: item.dbt__Charge_Code__r.Name, value: item.dbt__Charge_Code__c });
+                    this.ProjectChargeCodeMap.set(pid, arr);
+                });
+
+                // Refresh per-row charge code options now that they are known
+                if (Array.isArray(this.projectsList) && this.projectsList.length) {
+                    this.projectsList = this.projectsList.map(row => ({
+                        ...row,
+                        chargeCodeOptions: this.getChargeCodeOptionsForProject(row.projectName)
+                    }));
+                }
+            })
             .catch(error => {
                 console.error(error);
             });
     }
 
+    // Charge codes for the project, with a blank choice so a selection can be cleared
+    getChargeCodeOptionsForProject(projectId) {
+        const specific = (this.ProjectChargeCodeMap && projectId && this.ProjectChargeCodeMap.get(projectId)) || [];
+        return [{ label: '--None--', value: '' }, ...specific];
+    }
+
     // Merge common options with project-specific ones (deduped by value)
     getActivityOptionsForProject(projectId) {
         const common = Array.isArray(this.activityOptions) ? this.activityOptions : [];
         const specific = (this.ProjectActivityMap && projectId && this.ProjectActivityMap.get(projectId)) || [];
-        // If no project-specific options, just return common
-        if (!specific.length) return common;
         // Merge with project-specific first, then common, with de-dup by value
         const seen = new Set();
         const merged = [];
@@ -312,7 +824,19 @@ export default class TestLineItem extends LightningElement {
                 merged.push(opt);
             }
         });
-        return merged;
+        // Favourite activities of this project come first
+        const favourite = merged.filter(opt => this.isFavourite(projectId, opt.value));
+        const others = merged.filter(opt => !this.isFavourite(projectId, opt.value));
+        return [...favourite.map(opt => ({ ...opt, label: FAVOURITE_PREFIX + opt.label })), ...others];
+    }
+
+    // Projects with at least one favourite activity come first
+    get sortedProjectOptions() {
+        const isFavouriteProject = option => this.favourites.some(fav => fav.project === option.value);
+        return [
+            ...this.projectOptions.filter(isFavouriteProject).map(option => ({ ...option, label: FAVOURITE_PREFIX + option.label })),
+            ...this.projectOptions.filter(option => !isFavouriteProject(option))
+        ];
     }
 
     processTimesheetData(data,includeId) {
@@ -320,7 +844,8 @@ export default class TestLineItem extends LightningElement {
         this.absenceList = [];
 
         if (includeId) {
-            this.previousRecordIDs = new Set();
+            this.loadedLineItems = new Map();
+            this.clearHistory();
         }
 
         let attendanceData = {};
@@ -329,12 +854,16 @@ export default class TestLineItem extends LightningElement {
         // console.log("data",JSON.stringify(data));
   
         data.forEach(item => {
-            // Use localDateFromServer to get a local-midnight Date object (no TZ shift)
-            const date = this.localDateFromServer(item.dbt__Date__c);
-            const dayIndex = date.getDay() === 0 ? 6 : date.getDay() - 1;
+            const dayIndex = this.dayIndexForDate(item.dbt__Date__c);
+            if (dayIndex < 0) {
+                return;
+            }
 
             if(includeId){
-                this.previousRecordIDs.add(item.Id);
+                this.loadedLineItems.set(item.Id, {
+                    signature: this.lineItemSignature(item),
+                    version: item.LastModifiedDate
+                });
             }
 
             // Helper to update the date data
@@ -347,16 +876,15 @@ export default class TestLineItem extends LightningElement {
 
             if (item.dbt__Type__c === "Attendance") {
 
-                const key = `${item.dbt__Project__c}_${item.dbt__Activity__c}`;
+                const key = `${item.dbt__Project__c}_${item.dbt__Activity__c}_${item.dbt__Charge_Code__c || ''}`;
 
                 if (!attendanceData[key]) {
-                    const selectedProject = this.projectOptions.find(option => option.value === item.dbt__Project__c);
                     attendanceData[key] = {
                         ...this.getBlankData("Attendance"),
                         projectName: item.dbt__Project__c,
                         activityName: item.dbt__Activity__c,
-                        billable: item.dbt__Project__r?.dbt__Billable__c,
-                        hourlyRate: (selectedProject && selectedProject.hourly_rate) ? selectedProject.hourly_rate : 0
+                        chargeCode: item.dbt__Charge_Code__c || '',
+                        billable: item.dbt__Project__r?.dbt__Billable__c
                     };
                 }
                 updateDate(attendanceData[key]); 
@@ -375,45 +903,100 @@ export default class TestLineItem extends LightningElement {
 
         this.projectsList = Object.values(attendanceData).map(row => ({
             ...row,
-            activityOptions: this.getActivityOptionsForProject(row.projectName)
+            activityOptions: this.getActivityOptionsForProject(row.projectName),
+            chargeCodeOptions: this.getChargeCodeOptionsForProject(row.projectName)
         }));
         this.absenceList = Object.values(absenceData);
+        this.applyHolidays();
+
+        // Rows with a note but no hours are kept
+        this.savedRowNotes.forEach(saved => {
+            this.findOrAddRow(saved).note = saved.note;
+        });
+        this.sortRowsByOrder();
 
         if(this.projectsList.length === 0) {
             this.addNewProject();
         }
+        if (includeId) {
+            this.loadedRowNotes = this.rowNotesJson();
+            this.loadedPtoHours = this.ptoHoursInGrid();
+        }
 
         // calculate totals
         this.calculateTotals();
+        this.markRowFlags();
+        this.runValidation();
+    }
+
+    // Public holidays in the period are filled into the Holiday absence row and locked there.
+    // They are saved like any other absence so the timesheet's hour rollups include them.
+    applyHolidays() {
+        const holidayIndexes = this.dayList.map((_, index) => index).filter(index => this.holidays.has(this.dayList[index]));
+        if (holidayIndexes.length === 0) return;
+
+        let row = this.absenceList.find(r => r.absenceName === HOLIDAY_CATEGORY);
+        if (!row) {
+            row = {
+                ...this.getBlankData("Absence"),
+                absenceName: HOLIDAY_CATEGORY
+            };
+            this.absenceList.push(row);
+        }
+        row.isHolidayRow = true;
+        holidayIndexes.forEach(index => {
+            const holiday = this.holidays.get(this.dayList[index]);
+            const day = row.dates[index];
+            day.dur = holiday.hours;
+            day.desc = day.desc || holiday.name;
+            day.isdisable = false;
+            day.isHoliday = true;
+        });
+    }
 
+    // Column of a date counted from the period start (or from startDateStr when given).
+    // Returns -1 when the date falls outside this timesheet's period.
+    // Use localDateFromServer to get a local-midnight Date object (no TZ shift)
+    dayIndexForDate(dateStr, startDateStr) {
+        const date = this.localDateFromServer(dateStr);
+        const start = this.localDateFromServer(startDateStr || this.TimesheetStartDate);
+        if (!date || !start) return -1;
+        const index = Math.round((date - start) / MS_PER_DAY);
+        return (index >= 0 && index < this.dayList.length) ? index : -1;
     }
 
     getBlankData(type) {
         
-        const dates = this.dayNames.map((name, index) => {
+        const dates = this.dayList.map((date, index) => {
             return {
                 id: null,
                 isdisable: true,
-                date: this.dayList[index],
-                name,
+                date,
+                name: WEEKDAY_NAMES[this.localDateFromServer(date).getDay()],
                 dur: 0,
-                desc: ""
+                durText: formatDuration(0, this.durationFormat),
+                desc: "",
+                cellClass: this.isDayHidden(index) ? 'slds-hide' : ''
             };
         });
 
+        const rowKey = `row-${++rowKeySequence}`;
         if (type === "Attendance") {
             return {
+                rowKey,
                 type: "Attendance",
                 projectName: "",
                 activityName: "",
+                chargeCode: "",
                 billable: "",
-                hourlyRate: 0,
                 // Default to common options; per-row options update when project changes
                 activityOptions: Array.isArray(this.activityOptions) ? this.activityOptions : [],
+                chargeCodeOptions: this.getChargeCodeOptionsForProject(''),
                 dates
             };
         } else {
             return {
+                rowKey,
                 type: "Absence",
                 absenceName: "",
                 dates
@@ -437,6 +1020,13 @@ export default class TestLineItem extends LightningElement {
             tempRow.projectName = newValue;
         } else if (fieldName === 'activityName') {
             tempRow.activityName = newValue;
+        } else if (fieldName === 'chargeCode') {
+            tempRow.chargeCode = newValue;
+        }
+        // A charge code that does not belong to the new project is cleared below
+        if (fieldName === 'projectName'
+            && !this.getChargeCodeOptionsForProject(newValue).some(opt => opt.value === tempRow.chargeCode)) {
+            tempRow.chargeCode = '';
         }
 
         // Only check for duplicates if both fields have values
@@ -445,14 +1035,15 @@ export default class TestLineItem extends LightningElement {
             const wouldCreateDuplicate = this.projectsList.some((row, index) => 
                 index !== parseInt(rowIndex) && 
                 row.projectName === tempRow.projectName && 
-                row.activityName === tempRow.activityName
+                row.activityName === tempRow.activityName &&
+                (row.chargeCode || '') === (tempRow.chargeCode || '')
             );
 
             if (wouldCreateDuplicate) {
                 // Show error toast
                 this.showToast(
                     'Error', 
-                    'A row with the same Project and Activity already exists.', 
+                    'A row with the same Project, Activity and Charge Code already exists.', 
                     'error'
                 );
 
@@ -463,14 +1054,14 @@ export default class TestLineItem extends LightningElement {
         }
 
        // Apply change since it's valid
+        this.recordHistory();
         currentRow[fieldName] = newValue;
 
         if (fieldName === 'projectName') {
-            // Update billable/hourly based on the selected project
+            // Update billable based on the selected project
         const selectedProject = this.projectOptions.find(option => option.value === newValue);
         if (selectedProject) {
             currentRow.billable = selectedProject.billable;
-            currentRow.hourlyRate = selectedProject.hourly_rate;
         }
             // Refresh per-row activity options for this project
             currentRow.activityOptions = this.getActivityOptionsForProject(newValue);
@@ -479,46 +1070,187 @@ export default class TestLineItem extends LightningElement {
             if (!stillValid) {
                 currentRow.activityName = '';
             }
+            currentRow.chargeCodeOptions = this.getChargeCodeOptionsForProject(newValue);
+            currentRow.chargeCode = tempRow.chargeCode;
         }
         
         // Reassign array reference to trigger reactivity and recalc totals
         this.projectsList = [...this.projectsList];
         this.calculateTotals();
+        this.afterGridChange();
     }
 
+    // Runs on blur rather than on every keystroke, so '1:' or '1h' can be typed on the way to '1:30'
     handleDurationChange(event) {
         const rowIndex = event.target.dataset.rowIndex;
         const dayIndex = event.target.dataset.dayIndex;
-        const value = parseFloat(event.target.value) || 0;
+        const value = parseDuration(event.target.value, this.roundingIncrementMinutes);
         const dataFor = event.target.getAttribute('data-for'); // "project" or "absence"
         
         let list;
-        let CalculateList;
         if (dataFor === 'project') {
             list = this.projectsList;
-            CalculateList = this.projectsTotals;
         } else if (dataFor === 'absence') {
             list = this.absenceList;
-            CalculateList = this.absenceTotals;
         }
 
-        if (value < 0 || value > 24) {
-            this.showToast('Error', "Duration must be a number between 0 and 24", 'error');
-            event.target.value = list[rowIndex].dates[dayIndex].dur || 0;
+        if (!this.isValidDuration(value)) {
+            this.showToast('Error', `Enter a duration between 0 and ${this.maxDailyHours} hours, e.g. 1.5, 1:30, 90m or 1h 30m`, 'error');
+            event.target.value = list[rowIndex].dates[dayIndex].durText;
             return;
         }
 
-        CalculateList[dayIndex] += (value - list[rowIndex].dates[dayIndex].dur);
-        this.grandTotals[dayIndex] += (value - list[rowIndex].dates[dayIndex].dur);
-
-        if (dataFor === 'project') {
-            this.billableAmounts[dayIndex] = this.billableAmounts[dayIndex] + (value - list[rowIndex].dates[dayIndex].dur) * parseFloat(list[rowIndex].hourlyRate) || 0;
+        // Show the rounded value even when it formats the same as before
+        event.target.value = formatDuration(value, this.durationFormat);
+        if (value === (parseFloat(list[rowIndex].dates[dayIndex].dur) || 0)) {
+            return;
         }
 
+        this.recordHistory();
         list[rowIndex].dates[dayIndex].dur = value;
         list[rowIndex].dates[dayIndex].isdisable = (value === 0);
+        list[rowIndex].dates[dayIndex].errorMessage = null;
+        // Row totals and project subtotals change with every cell
+        this.calculateTotals();
+        this.afterGridChange();
+    }
+
+    isValidDuration(value) {
+        return value !== null && !isNaN(value) && value >= 0 && value <= this.maxDailyHours;
+    }
+
+    // Project rows followed by absence rows, in the order they are rendered
+    getGridRowRef(gridRow) {
+        if (gridRow < this.projectsList.length) {
+            return { dataFor: 'project', list: this.projectsList, rowIndex: gridRow };
+        }
+        const absenceIndex = gridRow - this.projectsList.length;
+        if (absenceIndex < this.absenceList.length) {
+            return { dataFor: 'absence', list: this.absenceList, rowIndex: absenceIndex };
+        }
+        return null;
+    }
+
+    getGridRowIndex(dataFor, rowIndex) {
+        return dataFor === 'project' ? rowIndex : this.projectsList.length + rowIndex;
+    }
+
+    // withDescription focuses the cell's description instead of its hours
+    focusDurationCell(gridRow, dayIndex, withDescription = false) {
+        const ref = this.getGridRowRef(gridRow);
+        if (!ref || dayIndex < 0 || dayIndex >= this.dayList.length) return;
+        const tag = withDescription ? 'lightning-textarea' : 'lightning-input';
+        const focusInput = () => {
+            const input = this.template.querySelector(
+                `${tag}[data-for="${ref.dataFor}"][data-row-index="${ref.rowIndex}"][data-day-index="${dayIndex}"]`
+            );
+            if (input) {
+                input.focus();
+            }
+        };
+        const row = (ref.dataFor === 'project' ? this.projectsList : this.absenceList)[ref.rowIndex];
+        const expand = withDescription && row && row.collapsed;
+        if (expand) {
+            // Collapsed rows have no description textareas to focus
+            this.setRowsCollapsed([row], false);
+        }
+        if (this.isDayHidden(dayIndex) || expand) {
+            // Moving past the edge of the week: switch tabs, then focus once re-rendered
+            if (this.isDayHidden(dayIndex)) {
+                this.showWeek(this.weekOfDay(dayIndex));
+            }
+            Promise.resolve().then(focusInput);
+        } else {
+            focusInput();
+        }
+    }
+
+    // Arrow keys move between duration cells, Enter moves down (Shift+Enter up)
+    handleCellKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const dataFor = event.currentTarget.dataset.for;
+        const gridRow = this.getGridRowIndex(dataFor, parseInt(event.currentTarget.dataset.rowIndex));
+        const dayIndex = parseInt(event.currentTarget.dataset.dayIndex);
+
+        let target;
+        switch (event.key) {
+            case 'ArrowUp':
+                target = [gridRow - 1, dayIndex];
+                break;
+            case 'ArrowDown':
+                target = [gridRow + 1, dayIndex];
+                break;
+            case 'ArrowLeft':
+                target = [gridRow, dayIndex - 1];
+                break;
+            case 'ArrowRight':
+                target = [gridRow, dayIndex + 1];
+                break;
+            case 'Enter':
+                target = [event.shiftKey ? gridRow - 1 : gridRow + 1, dayIndex];
+                break;
+            default:
+                return;
+        }
+        // Keep the arrow keys from moving the caret inside the cell
+        event.preventDefault();
+        this.focusDurationCell(target[0], target[1]);
+    }
+
+    // Paste a tab-separated block (rows x days) copied from a spreadsheet,
+    // starting at the focused cell. A single value is left to the browser.
+    handleCellPaste(event) {
+        if (this.isLocked) return;
+        const text = event.clipboardData?.getData('text');
+        if (!text || !/[\t\n]/.test(text.trim())) return;
+        event.preventDefault();
+
+        const rows = text.replace(/\r/g, '').replace(/\n+$/, '').split('\n').map(line => line.split('\t'));
+        const startRow = this.getGridRowIndex(event.currentTarget.dataset.for, parseInt(event.currentTarget.dataset.rowIndex));
+        const startDay = parseInt(event.currentTarget.dataset.dayIndex);
+
+        const updates = [];
+        let skipped = false;
+        for (let r = 0; r < rows.length; r++) {
+            const ref = this.getGridRowRef(startRow + r);
+            for (let c = 0; c < rows[r].length; c++) {
+                const dayIndex = startDay + c;
+                if (!ref || dayIndex >= this.dayList.length) {
+                    skipped = true;
+                    continue;
+                }
+                const day = ref.list[ref.rowIndex].dates[dayIndex];
+                if (day.isHoliday) {
+                    skipped = true;
+                    continue;
+                }
+                const raw = rows[r][c].trim();
+                const value = parseDuration(raw, this.roundingIncrementMinutes);
+                if (!this.isValidDuration(value)) {
+                    this.showToast('Error', `Pasted value "${raw}" is not a duration between 0 and ${this.maxDailyHours} hours`, 'error');
+                    return;
+                }
+                updates.push({ day, value });
+            }
+        }
+        if (updates.length === 0) return;
+
+        this.recordHistory();
+        updates.forEach(({ day, value }) => {
+            day.dur = value;
+            day.isdisable = (value === 0);
+        });
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
+        this.calculateTotals();
+        this.afterGridChange();
+
+        if (skipped) {
+            this.showToast('Warning', 'Some pasted values fell outside the grid or on public holidays and were ignored', 'warning');
+        }
     }
 
+    // Bound to blur, like the duration cells, so a description is one undo step and not one per keystroke
     handleDescriptionChange(event) {
         const rowIndex = parseInt(event.target.dataset.rowIndex);
         const dayIndex = parseInt(event.target.dataset.dayIndex);
@@ -530,14 +1262,19 @@ export default class TestLineItem extends LightningElement {
         } else if (dataFor === 'absence') {
             list = this.absenceList;
         }
-        
-        list[rowIndex].dates[dayIndex].desc = newValue;
+        const day = list[rowIndex].dates[dayIndex];
+        if ((day.desc || '') === (newValue || '')) return;
+
+        this.recordHistory();
+        day.desc = newValue;
+        this.afterGridChange();
     }
 
     handleDeleteRow(event) {
         const rowIndex = parseInt(event.target.dataset.rowIndex);
         const type = event.target.dataset.type;
 
+        this.recordHistory();
         try {
             if (type === 'project' && this.projectsList.length>0) {
                 // Remove row from projectsList
@@ -562,6 +1299,7 @@ export default class TestLineItem extends LightningElement {
 
         // calculate totals
         this.calculateTotals();
+        this.afterGridChange();
     }
 
     handleAbsenceChange(event) {
@@ -590,7 +1328,9 @@ export default class TestLineItem extends LightningElement {
         }
 
         // Update the absence name if no duplicate
+        this.recordHistory();
         currentRow.absenceName = newValue;
+        this.afterGridChange();
     }
 
     addNewProject() {
@@ -603,154 +1343,1921 @@ export default class TestLineItem extends LightningElement {
         this.absenceList.push(newAbsence);
     }
 
-    handleSave(){
-        let upsertList = [];
-        let deleteList;
-        let currentRecordIDs = new Set();
-
-        try {
-            let hasError = this.projectsList.some(project => 
-                project.dates.some(day => {
-                    if (day.dur > 0) {
-                        if (project.projectName === '' || project.activityName === '') {
-                            this.showToast('Error', "Project name or Activity name cannot be blank", 'error');
-                            return true; // Stop iteration
-                        }
-                        if (day.id) currentRecordIDs.add(day.id);
-                        upsertList.push({
-                            sobjectType: 'dbt__Timesheet_Line_Item__c',
-                            Id: day.id,
-                            dbt__Timesheet__c: this.recordId,
-                            dbt__Type__c: "Attendance",
-                            dbt__Project__c: project.projectName,
-                            dbt__Activity__c: project.activityName,
-                            dbt__Duration__c: day.dur,
-                            dbt__Description__c: day.desc,
-                            dbt__Date__c: day.date,
-                            dbt__Billable__c: this.projectOptions.find(option => option.value === project.projectName)?.billable || "No",
-                            dbt__Hours_Limit_Exceeded__c: false
-                        });
-                    }
-                })
-            );
-            
-            if (hasError) return;
-
-            hasError = this.absenceList.some(absence => 
-                absence.dates.some(day => {
-                    if (day.dur > 0) {
-                        if (absence.absenceName === '') {
-                            this.showToast('Error', "Absence name cannot be blank", 'error');
-                            return true; // Stop iteration
-                        }
-                        if (day.id) currentRecordIDs.add(day.id);
-                        upsertList.push({
-                            sobjectType: 'dbt__Timesheet_Line_Item__c',
-                            Id: day.id,
-                            dbt__Timesheet__c: this.recordId,
-                            dbt__Type__c: "Absence",
-                            dbt__Absence_Category__c: absence.absenceName,
-                            dbt__Duration__c: day.dur,
-                            dbt__Description__c: day.desc,
-                            dbt__Date__c: day.date,
-                            dbt__Billable__c: this.projectOptions.find(option => option.value === absence.absenceName)?.billable || "No",
-                            dbt__Hours_Limit_Exceeded__c: false
-                        });
-                    }
-                })
-            );
-
-            if (hasError) return;
+    handleAddProject() {
+        this.recordHistory();
+        this.addNewProject();
+        this.afterGridChange();
+    }
 
-            deleteList = [...this.previousRecordIDs].filter(id => !currentRecordIDs.has(id));
+    handleAddAbsence() {
+        this.recordHistory();
+        this.addNewAbsence();
+        this.afterGridChange();
+    }
 
-        } catch (error) {
-            this.showToast('Error', error, 'error');
-        }
+    // Key used to detect whether a cell differs from what was loaded from the server
+    lineItemSignature(item) {
+        return [
+            item.dbt__Type__c,
+            item.dbt__Project__c || '',
+            item.dbt__Activity__c || '',
+            item.dbt__Charge_Code__c || '',
+            item.dbt__Absence_Category__c || '',
+            Number(item.dbt__Duration__c) || 0,
+            item.dbt__Description__c || '',
+            item.dbt__Date__c
+        ].join('|');
+    }
 
-        (
-            (deleteList.length > 0 
-                ? deleteTimesheetLineItems({ lineItemIds: deleteList.map(id => ({ Id: id })) })
-                : Promise.resolve()
-            )
-            .then(res => {
-                if (res && res !== 'Success') throw new Error(res);
-                return upsertList.length > 0 ? upsertLineItems({ lineItems: upsertList }) : Promise.resolve();
-            })
-            .then(res => {
-                if (res && res !== 'Success') throw new Error(res);
-                this.showToast('Success', 'Records saved', 'success');
-            })
-            .catch(e => {
-                this.showToast('Error', e.message, 'error')
-            })
-            .finally(() => {
-                this.fetchTimesheetData(this.recordId, result => {
-                    this.wiredTimesheetResult = result;
-                    this.processTimesheetData(this.wiredTimesheetResult,true);
-                });
-            })
-        );
-        
+    clearCellErrors() {
+        [...this.projectsList, ...this.absenceList].forEach(row => {
+            row.dates.forEach(day => {
+                day.errorMessage = null;
+                this.refreshCellClass(day);
+            });
+        });
     }
 
-    calculateTotals() {
-        // Reset totals
-        this.projectsTotals = [0, 0, 0, 0, 0, 0, 0];
-        this.absenceTotals = [0, 0, 0, 0, 0, 0, 0];
-        this.grandTotals = [0, 0, 0, 0, 0, 0, 0];
-        this.billableAmounts = [0, 0, 0, 0, 0, 0, 0]; 
+    markCellError(day, message) {
+        day.errorMessage = message || 'Could not be saved';
+        this.refreshCellClass(day);
+    }
 
-        // Calculate Projects totals and billable amounts
-        try {
-            this.projectsList.forEach(project => {
+    // A cell is highlighted while it has a save error or a validation error,
+    // and hidden while its week tab is not selected
+    refreshCellClass(day) {
+        const classes = [];
+        if (day.errorMessage || day.validationError) classes.push('cell-error');
+        if (this.isDayHidden(this.dayList.indexOf(day.date))) classes.push('slds-hide');
+        day.cellClass = classes.join(' ');
+    }
 
-                project.dates.forEach((day, index) => {
-                    const duration = parseFloat(day.dur) || 0;
-                    this.projectsTotals[index] += duration;
-                    
-                    if (project.billable === "Yes") {
-                        this.billableAmounts[index] += duration * parseFloat(project.hourlyRate) || 0;
-                    }
-                });
-            });
-    
-        } catch (error) {
-            console.log(error);
+    getRowLabel(row) {
+        if (row.type === 'Attendance') {
+            const projectLabel = this.projectOptions.find(option => option.value === row.projectName)?.label || 'No project';
+            const chargeCodeLabel = row.chargeCode
+                ? this.getChargeCodeOptionsForProject(row.projectName).find(option => option.value === row.chargeCode)?.label
+                : '';
+            const label = `${projectLabel} / ${row.activityName || 'No activity'}`;
+            return chargeCodeLabel ? `${label} (${chargeCodeLabel})` : label;
         }
-        // Calculate Absence totals
-        this.absenceList.forEach(absence => {
-            absence.dates.forEach((day, index) => {
-                const duration = parseFloat(day.dur) || 0;
-                this.absenceTotals[index] += duration;
+        return row.absenceName || 'No absence category';
+    }
+
+    // Checks the cells that would be saved against the same rules the org enforces
+    // on Timesheet_Line_Item__c. Returns true when there is nothing to fix.
+    runValidation() {
+        const items = [];
+        const cells = new Map();
+        const collect = (row, dataFor, rowIndex) => {
+            row.dates.forEach((day, dayIndex) => {
+                day.validationError = null;
+                if (day.dur > 0) {
+                    const key = `${dataFor}-${rowIndex}-${dayIndex}`;
+                    cells.set(key, { row, day });
+                    items.push({
+                        key,
+                        type: row.type,
+                        date: day.date,
+                        project: row.projectName,
+                        activity: row.activityName,
+                        absenceCategory: row.absenceName,
+                        duration: day.dur
+                    });
+                }
+                this.refreshCellClass(day);
             });
+        };
+        this.projectsList.forEach((row, index) => collect(row, 'project', index));
+        this.absenceList.forEach((row, index) => collect(row, 'absence', index));
+
+        const errorsByKey = groupErrorsByKey(validateLineItems(items, {
+            startDate: this.TimesheetStartDate,
+            endDate: this.TimeSheetEndDate
+        }, { maxDailyHours: this.maxDailyHours }));
+
+        const summary = [];
+        errorsByKey.forEach((errors, key) => {
+            const { row, day } = cells.get(key);
+            day.validationError = errors.map(error => error.message).join(' ');
+            this.refreshCellClass(day);
+            summary.push({ key, label: `${this.getRowLabel(row)} - ${day.name} ${day.date}`, message: day.validationError });
         });
+        this.validationErrors = summary;
+        return summary.length === 0;
+    }
 
-        // Calculate Grand totals
-        this.projectsTotals.forEach((total, index) => {
-            this.grandTotals[index] = total + this.absenceTotals[index];
-        });
+    get hasValidationErrors() {
+        return this.validationErrors.length > 0;
     }
 
-    prevTimesheet(event) {
-        this.prevTimesheetValue=event.detail.value;
+    get durationFormatOptions() {
+        return [
+            { label: '1.5', value: DURATION_FORMAT_DECIMAL },
+            { label: '1:30', value: DURATION_FORMAT_HOURS_MINUTES }
+        ];
     }
 
-    handleCopy(){
-        if(this.prevTimesheetValue != undefined){
-            // console.log(this.prevTimesheetValue);
-            this.fetchTimesheetData(this.prevTimesheetValue, result => {
-                this.processTimesheetData(result,false);
-                this.showToast('Success', 'Timesheet copied successfully', 'success');
-            });
-        }
+    handleDurationFormatChange(event) {
+        this.durationFormat = event.detail.value;
+        saveDurationFormat(this.durationFormat);
+        this.calculateTotals();
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
     }
 
-    handleCancel() {
-        this.processTimesheetData(this.wiredTimesheetResult,true);
+    // HR admins (Edit_Locked_Timesheets) keep editing; the trigger lets them through too
+    get isLocked() {
+        return isLockedStatus(this.timesheetStatus) && !canEditLockedTimesheets;
+    }
 
-        this.template.querySelectorAll('lightning-combobox[data-id="prevTimesheet"]').forEach(cb => {
-            cb.value = undefined;
-        });
+    get isStatusLocked() {
+        return isLockedStatus(this.timesheetStatus);
+    }
+
+    get lockedMessage() {
+        return this.isLocked
+            ? `This timesheet is ${this.timesheetStatus} and can no longer be edited.`
+            : `This timesheet is ${this.timesheetStatus}. You can still edit it as an HR admin.`;
+    }
+
+    // Called after every grid edit: re-check the rules and keep the local draft current
+    afterGridChange() {
+        this.markRowFlags();
+        this.runValidation();
+        this.saveDraft();
+    }
+
+    handleSave(){
+        this.saveGrid();
+    }
+
+    // Saves the grid's changes. Resolves to true when everything on screen is stored on the
+    // server (including when there was nothing to save), false when something is left to fix.
+    // quiet skips the 'No changes to save' toast for callers that save on the user's behalf.
+    saveGrid({ quiet = false } = {}){
+        let entries;
+        let deleteList;
+
+        if (this.isLocked) {
+            this.showToast('Error', this.lockedMessage, 'error');
+            return Promise.resolve(false);
+        }
+
+        this.clearCellErrors();
+        if (!this.runValidation()) {
+            this.showToast('Error', 'Please fix the highlighted errors before saving', 'error');
+            return Promise.resolve(false);
+        }
+        if (!this.checkPtoBalance()) {
+            return Promise.resolve(false);
+        }
+
+        try {
+            ({ entries, deleteList } = this.collectChanges());
+        } catch (error) {
+            this.showToast('Error', error, 'error');
+            return Promise.resolve(false);
+        }
+
+        const notesJson = this.rowNotesJson();
+        const notesChanged = notesJson !== this.loadedRowNotes;
+        if (entries.length === 0 && deleteList.length === 0 && !notesChanged) {
+            if (!quiet) {
+                this.showToast('Info', 'No changes to save', 'info');
+            }
+            return Promise.resolve(true);
+        }
+
+        // Row notes are stored on the timesheet and go first; the line items follow
+        const notesSaved = notesChanged
+            ? saveRowNotes({ timesheetId: this.timesheetId, notesJson }).then(() => {
+                this.savedRowNotes = JSON.parse(notesJson);
+                this.loadedRowNotes = notesJson;
+            })
+            : Promise.resolve();
+        if (entries.length === 0 && deleteList.length === 0) {
+            return notesSaved
+                .then(() => {
+                    this.clearDraft();
+                    this.showToast('Success', 'Records saved', 'success');
+                    return true;
+                })
+                .catch(e => {
+                    this.showToast('Error', e.body?.message || e.message, 'error');
+                    return false;
+                });
+        }
+
+        const versions = {};
+        [...entries.map(entry => entry.record.Id), ...deleteList].forEach(id => {
+            if (id && this.loadedLineItems.has(id)) {
+                versions[id] = this.loadedLineItems.get(id).version;
+            }
+        });
+
+        return notesSaved
+            .then(() => saveLineItems({ upsertItems: entries.map(entry => entry.record), deleteIds: deleteList, versions }))
+            .then(results => {
+                const failures = this.applySaveResults(entries, deleteList, results);
+                this.clearHistory();
+                if (this.conflicts.length > 0) {
+                    this.saveDraft();
+                    this.showConflictDialog = true;
+                } else if (failures.length === 0) {
+                    this.clearDraft();
+                    this.showToast('Success', 'Records saved', 'success');
+                    // Resolve once the grid shows the reloaded rows
+                    return new Promise(resolve => {
+                        this.fetchTimesheetData(this.timesheetId, result => {
+                            this.wiredTimesheetResult = result;
+                            this.processTimesheetData(this.wiredTimesheetResult,true);
+                            resolve(true);
+                        });
+                    });
+                } else {
+                    this.saveDraft();
+                    this.showToast(
+                        'Error',
+                        `${failures.length} of ${results.length} changes could not be saved: ${[...new Set(failures)].join('; ')}`,
+                        'error'
+                    );
+                }
+                return false;
+            })
+            .catch(e => {
+                this.showToast('Error', e.body?.message || e.message, 'error');
+                return false;
+            });
+    }
+
+    // PTO hours of the absence rows that fall in the balance year
+    ptoHoursInGrid() {
+        if (!this.leaveBalance) return 0;
+        const year = String(this.leaveBalance.year);
+        return this.absenceList
+            .filter(row => this.leaveBalance.categories.includes(row.absenceName))
+            .reduce((sum, row) => sum + row.dates
+                .filter(day => day.date.startsWith(year))
+                .reduce((rowSum, day) => rowSum + (Number(day.dur) || 0), 0), 0);
+    }
+
+    // Remaining PTO with the hours on screen, shown beside the Absence section
+    get ptoBalance() {
+        if (!this.leaveBalance) return null;
+        const used = this.leaveBalance.usedHours + this.ptoHoursInGrid();
+        const remaining = Math.round((this.leaveBalance.accruedHours - used) * 100) / 100;
+        const format = hours => formatDuration(Math.abs(hours), this.durationFormat);
+        return {
+            remaining,
+            overBalance: remaining < 0,
+            label: remaining < 0
+                ? `PTO ${this.leaveBalance.year}: ${format(remaining)} h over balance`
+                : `PTO ${this.leaveBalance.year}: ${format(remaining)} h remaining`,
+            title: `${format(this.leaveBalance.accruedHours)} h accrued, ${format(used)} h used`
+        };
+    }
+
+    // Saves that add PTO beyond the balance are blocked or warned about, per the org setting.
+    // Returns false when the save must not go ahead.
+    checkPtoBalance() {
+        const balance = this.ptoBalance;
+        if (!balance || !balance.overBalance || this.ptoHoursInGrid() <= this.loadedPtoHours) {
+            return true;
+        }
+        const message = `This timesheet takes PTO ${-balance.remaining} hours past the remaining ${this.leaveBalance.year} balance`;
+        if (this.blockPtoOverBalance) {
+            this.showToast('Error', `${message}. Reduce the PTO hours to save.`, 'error');
+            return false;
+        }
+        this.showToast('Warning', message, 'warning');
+        return true;
+    }
+
+    // Line items to send on save: cells that are new or differ from the loaded snapshot
+    // ({ row, day, record } entries) and the Ids of loaded items no longer in the grid
+    collectChanges() {
+        let entries = [];
+        const currentRecordIDs = new Set();
+
+        this.projectsList.forEach(project => 
+            project.dates.forEach(day => {
+                if (day.dur > 0) {
+                    if (day.id) currentRecordIDs.add(day.id);
+                    entries.push({ row: project, day, record: {
+                        sobjectType: 'dbt__Timesheet_Line_Item__c',
+                        Id: day.id,
+                        dbt__Timesheet__c: this.timesheetId,
+                        dbt__Type__c: "Attendance",
+                        dbt__Project__c: project.projectName,
+                        dbt__Activity__c: project.activityName,
+                        dbt__Charge_Code__c: project.chargeCode || null,
+                        dbt__Duration__c: day.dur,
+                        dbt__Description__c: day.desc,
+                        dbt__Date__c: day.date,
+                        dbt__Billable__c: this.projectOptions.find(option => option.value === project.projectName)?.billable || "No",
+                        dbt__Hours_Limit_Exceeded__c: false
+                    }});
+                }
+            })
+        );
+
+        this.absenceList.forEach(absence => 
+            absence.dates.forEach(day => {
+                if (day.dur > 0) {
+                    if (day.id) currentRecordIDs.add(day.id);
+                    entries.push({ row: absence, day, record: {
+                        sobjectType: 'dbt__Timesheet_Line_Item__c',
+                        Id: day.id,
+                        dbt__Timesheet__c: this.timesheetId,
+                        dbt__Type__c: "Absence",
+                        dbt__Absence_Category__c: absence.absenceName,
+                        dbt__Duration__c: day.dur,
+                        dbt__Description__c: day.desc,
+                        dbt__Date__c: day.date,
+                        dbt__Billable__c: this.projectOptions.find(option => option.value === absence.absenceName)?.billable || "No",
+                        dbt__Hours_Limit_Exceeded__c: false
+                    }});
+                }
+            })
+        );
+
+        // Only send cells that are new or differ from the loaded snapshot
+        entries = entries.filter(({ record }) =>
+            !record.Id || this.loadedLineItems.get(record.Id)?.signature !== this.lineItemSignature(record)
+        );
+        const deleteList = [...this.loadedLineItems.keys()].filter(id => !currentRecordIDs.has(id));
+        return { entries, deleteList };
+    }
+
+    hasUnsavedChanges() {
+        if (this.isLocked) return false;
+        const { entries, deleteList } = this.collectChanges();
+        // Prefilled holidays are saved with the next change but do not count as one
+        return entries.some(({ day }) => !day.isHoliday) || deleteList.length > 0 || this.rowNotesJson() !== this.loadedRowNotes;
+    }
+
+    // Results come back in request order: upserts first, then deletes. Successful
+    // records are folded into the loaded snapshot so the next save only resends failures.
+    // Conflicting records are collected in this.conflicts for the user to resolve.
+    applySaveResults(entries, deleteList, results) {
+        const failures = [];
+        const conflicts = [];
+        const cellById = new Map();
+        [...this.projectsList, ...this.absenceList].forEach(row => {
+            row.dates.forEach(day => {
+                if (day.id) cellById.set(day.id, { row, day });
+            });
+        });
+
+        const handleFailure = (res, cell, mine) => {
+            if (cell) this.markCellError(cell.day, res?.message);
+            if (res?.conflict) {
+                conflicts.push(this.buildConflict(res, cell, mine));
+            } else {
+                failures.push(res?.message || 'Unknown error');
+            }
+        };
+
+        entries.forEach(({ row, day, record }, index) => {
+            const res = results[index];
+            if (res && res.success) {
+                day.id = res.recordId;
+                this.loadedLineItems.set(res.recordId, {
+                    signature: this.lineItemSignature({ ...record, Id: res.recordId }),
+                    version: res.version
+                });
+            } else {
+                handleFailure(res, { row, day }, record);
+            }
+        });
+
+        deleteList.forEach((id, index) => {
+            const res = results[entries.length + index];
+            const cell = cellById.get(id);
+            if (res && res.success) {
+                this.loadedLineItems.delete(id);
+                if (cell) cell.day.id = null;
+            } else {
+                handleFailure(res, cell, null);
+            }
+        });
+
+        this.conflicts = conflicts;
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
+        return failures;
+    }
+
+    describeLineItem(item) {
+        if (!item) return 'Deleted';
+        const hours = Number(item.dbt__Duration__c) || 0;
+        return item.dbt__Description__c ? `${hours}h - ${item.dbt__Description__c}` : `${hours}h`;
+    }
+
+    // mine is the record we tried to save, or null when we tried to delete it
+    buildConflict(res, cell, mine) {
+        const theirs = res.serverRecord;
+        let rowLabel = '';
+        let dayLabel = '';
+        if (cell) {
+            rowLabel = this.getRowLabel(cell.row);
+            dayLabel = `${cell.day.name} ${cell.day.date}`;
+        } else if (theirs) {
+            rowLabel = theirs.dbt__Type__c === 'Attendance'
+                ? `${this.projectOptions.find(option => option.value === theirs.dbt__Project__c)?.label || ''} / ${theirs.dbt__Activity__c}`
+                : theirs.dbt__Absence_Category__c;
+            dayLabel = `${WEEKDAY_NAMES[this.localDateFromServer(theirs.dbt__Date__c).getDay()]} ${theirs.dbt__Date__c}`;
+        }
+        return {
+            key: res.recordId,
+            recordId: res.recordId,
+            cell,
+            theirs,
+            version: res.version,
+            rowLabel,
+            dayLabel,
+            mineLabel: this.describeLineItem(mine),
+            theirsLabel: this.describeLineItem(theirs),
+            choice: 'mine'
+        };
+    }
+
+    get conflictChoiceOptions() {
+        return [
+            { label: 'Keep mine', value: 'mine' },
+            { label: 'Take theirs', value: 'theirs' }
+        ];
+    }
+
+    handleConflictChoice(event) {
+        const key = event.target.dataset.key;
+        this.conflicts = this.conflicts.map(conflict =>
+            conflict.key === key ? { ...conflict, choice: event.detail.value } : conflict
+        );
+    }
+
+    // Discard local edits and load what is on the server now
+    handleConflictReload() {
+        this.showConflictDialog = false;
+        this.conflicts = [];
+        this.clearDraft();
+        this.fetchTimesheetData(this.timesheetId, result => {
+            this.wiredTimesheetResult = result;
+            this.processTimesheetData(this.wiredTimesheetResult,true);
+        });
+    }
+
+    handleConflictKeepMine() {
+        this.conflicts = this.conflicts.map(conflict => ({ ...conflict, choice: 'mine' }));
+        this.resolveConflicts();
+    }
+
+    handleConflictMerge() {
+        this.resolveConflicts();
+    }
+
+    resolveConflicts() {
+        let resave = false;
+        this.conflicts.forEach(conflict => {
+            const { recordId, cell, theirs } = conflict;
+            if (cell) {
+                cell.day.errorMessage = null;
+                this.refreshCellClass(cell.day);
+            }
+
+            if (conflict.choice === 'mine') {
+                resave = true;
+                if (theirs) {
+                    // Accept the server's version so our write is no longer treated as stale
+                    this.loadedLineItems.set(recordId, { ...this.loadedLineItems.get(recordId), version: conflict.version });
+                } else {
+                    // Deleted by someone else: save our values as a new record
+                    this.loadedLineItems.delete(recordId);
+                    if (cell) cell.day.id = null;
+                }
+                return;
+            }
+
+            if (cell) {
+                cell.day.dur = 0;
+                cell.day.desc = '';
+                cell.day.id = null;
+                cell.day.isdisable = true;
+            }
+            if (theirs) {
+                this.loadedLineItems.set(recordId, {
+                    signature: this.lineItemSignature(theirs),
+                    version: theirs.LastModifiedDate
+                });
+                this.placeServerItem(theirs);
+            } else {
+                this.loadedLineItems.delete(recordId);
+            }
+        });
+
+        this.conflicts = [];
+        this.showConflictDialog = false;
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
+        this.calculateTotals();
+        this.afterGridChange();
+
+        if (resave) {
+            this.handleSave();
+        }
+    }
+
+    // Put a server line item into its grid row, adding the row if it is not shown
+    placeServerItem(item) {
+        const dayIndex = this.dayIndexForDate(item.dbt__Date__c);
+        if (dayIndex < 0) return;
+        let row;
+        if (item.dbt__Type__c === 'Attendance') {
+            row = this.projectsList.find(r => r.projectName === item.dbt__Project__c
+                && r.activityName === item.dbt__Activity__c
+                && (r.chargeCode || '') === (item.dbt__Charge_Code__c || ''));
+            if (!row) {
+                row = {
+                    ...this.getBlankData("Attendance"),
+                    projectName: item.dbt__Project__c,
+                    activityName: item.dbt__Activity__c,
+                    chargeCode: item.dbt__Charge_Code__c || '',
+                    billable: item.dbt__Project__r?.dbt__Billable__c,
+                    activityOptions: this.getActivityOptionsForProject(item.dbt__Project__c),
+                    chargeCodeOptions: this.getChargeCodeOptionsForProject(item.dbt__Project__c)
+                };
+                this.projectsList.push(row);
+            }
+        } else {
+            row = this.absenceList.find(r => r.absenceName === item.dbt__Absence_Category__c);
+            if (!row) {
+                row = {
+                    ...this.getBlankData("Absence"),
+                    absenceName: item.dbt__Absence_Category__c
+                };
+                this.absenceList.push(row);
+            }
+        }
+        Object.assign(row.dates[dayIndex], {
+            id: item.Id,
+            dur: item.dbt__Duration__c || 0,
+            desc: item.dbt__Description__c || '',
+            isdisable: false,
+            errorMessage: null
+        });
+        this.refreshCellClass(row.dates[dayIndex]);
+    }
+
+    resetTotals() {
+        this.projectsTotals = this.dayList.map(() => 0);
+        this.absenceTotals = this.dayList.map(() => 0);
+        this.grandTotals = this.dayList.map(() => 0);
+        this.billableAmounts = this.dayList.map(() => 0);
+        this.overtimeTotals = this.dayList.map(() => ({ daily: 0, weekly: 0, total: 0 }));
+    }
+
+    calculateTotals() {
+        // Reset totals
+        this.resetTotals();
+
+        // Calculate Projects totals
+        this.projectsList.forEach(project => {
+            project.dates.forEach((day, index) => {
+                this.projectsTotals[index] += parseFloat(day.dur) || 0;
+            });
+        });
+
+        // Attendance beyond the standard day or week is overtime (absences never are); billable
+        // rows take their share of a day's overtime at the project's Overtime_Multiplier__c
+        this.overtimeTotals = calculateOvertime(this.projectsTotals, this.dayWeeks, {
+            hoursPerDay: this.workingHoursPerDay,
+            hoursPerWeek: this.workingHoursPerDay * this.workingDaysPerWeek
+        });
+        try {
+            this.projectsList.forEach(project => {
+                if (project.billable !== "Yes") {
+                    return;
+                }
+                const selectedProject = this.projectOptions.find(option => option.value === project.projectName);
+                project.dates.forEach((day, index) => {
+                    const duration = parseFloat(day.dur) || 0;
+                    const rate = this.hourlyRateOn(selectedProject, this.dayList[index]);
+                    const multiplier = selectedProject?.overtimeMultiplier;
+                    const overtime = rowOvertime(duration, this.projectsTotals[index], this.overtimeTotals[index].total);
+                    this.billableAmounts[index] += billableAmount(duration, overtime, rate, multiplier);
+                });
+            });
+        } catch (error) {
+            console.log(error);
+        }
+        // Calculate Absence totals
+        this.absenceList.forEach(absence => {
+            absence.dates.forEach((day, index) => {
+                const duration = parseFloat(day.dur) || 0;
+                this.absenceTotals[index] += duration;
+            });
+        });
+
+        // Calculate Grand totals
+        this.projectsTotals.forEach((total, index) => {
+            this.grandTotals[index] = total + this.absenceTotals[index];
+        });
+
+        // Weekly total of each row; cells are re-formatted here as every edit ends up in this method
+        [...this.projectsList, ...this.absenceList].forEach(row => {
+            row.weekTotal = roundHours(row.dates.reduce((sum, day) => sum + (parseFloat(day.dur) || 0), 0));
+            row.dates.forEach(day => {
+                day.durText = formatDuration(day.dur, this.durationFormat);
+            });
+        });
+        this.markProjectSubtotals();
+
+        // Same split as Billable_Hours__c, Non_Billable_Hours__c, Absence_Hours__c and
+        // Total_Billable_Amount__c: attendance by the project's Billable__c, absences on their own.
+        // Amounts carry the overtime premium, as TimesheetOvertimeCalculator stores them
+        const sumRows = rows => rows.reduce((sum, row) => sum + row.weekTotal, 0);
+        const billableHours = sumRows(this.projectsList.filter(row => row.billable === 'Yes'));
+        const nonBillableHours = sumRows(this.projectsList.filter(row => row.billable !== 'Yes'));
+        const absenceHours = sumRows(this.absenceList);
+        const overtimeHours = this.overtimeTotals.reduce((sum, day) => sum + day.total, 0);
+        this.weekSummary = {
+            total: roundHours(billableHours + nonBillableHours + absenceHours),
+            projectHours: roundHours(billableHours + nonBillableHours),
+            billableHours: roundHours(billableHours),
+            nonBillableHours: roundHours(nonBillableHours),
+            absenceHours: roundHours(absenceHours),
+            regularHours: roundHours(billableHours + nonBillableHours - overtimeHours),
+            overtimeHours: roundHours(overtimeHours),
+            billableAmount: roundHours(this.billableAmounts.reduce((sum, amount) => sum + amount, 0))
+        };
+    }
+
+    // Same rule as TimesheetLineItemTriggerHandler, which stores the rate on each line item: the newest
+    // rate range covering the date, else the assignment's own Hourly_Rate__c. Dates are YYYY-MM-DD.
+    hourlyRateOn(projectOption, date) {
+        if (!projectOption) {
+            return 0;
+        }
+        const rate = projectOption.rates.find(entry => entry.from <= date && (!entry.to || entry.to >= date));
+        return parseFloat(rate ? rate.rate : projectOption.hourly_rate) || 0;
+    }
+
+    // Projects with several activity rows get a subtotal row after the last of them
+    markProjectSubtotals() {
+        const groups = new Map();
+        this.projectsList.forEach(row => {
+            row.subtotal = null;
+            if (!row.projectName) return;
+            if (!groups.has(row.projectName)) groups.set(row.projectName, []);
+            groups.get(row.projectName).push(row);
+        });
+        groups.forEach((rows, projectName) => {
+            if (rows.length < 2) return;
+            const projectLabel = this.projectOptions.find(option => option.value === projectName)?.label || 'Project';
+            rows[rows.length - 1].subtotal = {
+                key: `subtotal-${projectName}`,
+                label: `${projectLabel} subtotal`,
+                days: this.dayList.map((date, index) => ({
+                    key: date,
+                    hours: roundHours(rows.reduce((sum, row) => sum + (parseFloat(row.dates[index].dur) || 0), 0)),
+                    cellClass: this.isDayHidden(index) ? 'slds-hide' : ''
+                })),
+                total: roundHours(rows.reduce((sum, row) => sum + row.weekTotal, 0))
+            };
+        });
+    }
+
+    prevTimesheet(event) {
+        this.prevTimesheetValue=event.detail.value;
+    }
+
+    // Load the chosen timesheet's rows and let the user pick what to copy
+    handleCopy(){
+        if(this.prevTimesheetValue != undefined){
+            // Hours are copied by day offset from the previous period's start date,
+            // so periods of different lengths line up from their first day
+            getTimesheet({ timesheetId: this.prevTimesheetValue })
+                .then(source => {
+                    this.fetchTimesheetData(this.prevTimesheetValue, result => {
+                        this.copyRows = this.buildCopyRows(result, source.dbt__Start_Date__c);
+                        if (this.copyRows.length === 0) {
+                            this.showToast('Info', 'The selected timesheet has no rows to copy', 'info');
+                            return;
+                        }
+                        this.copyMode = COPY_MODE_ROWS;
+                        this.showCopyDialog = true;
+                    });
+                })
+                .catch(error => {
+                    console.error(error);
+                });
+        }
+    }
+
+    // Group the source line items into grid rows, keyed the same way as processTimesheetData
+    buildCopyRows(data, sourceStartDate) {
+        const rows = new Map();
+        data.forEach(item => {
+            const isAttendance = item.dbt__Type__c === "Attendance";
+            const key = isAttendance
+                ? `Attendance_${item.dbt__Project__c}_${item.dbt__Activity__c}_${item.dbt__Charge_Code__c || ''}`
+                : `Absence_${item.dbt__Absence_Category__c}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    key,
+                    type: isAttendance ? "Attendance" : "Absence",
+                    projectName: item.dbt__Project__c,
+                    activityName: item.dbt__Activity__c,
+                    chargeCode: item.dbt__Charge_Code__c || '',
+                    billable: item.dbt__Project__r?.dbt__Billable__c,
+                    absenceName: item.dbt__Absence_Category__c,
+                    cells: [],
+                    hours: 0,
+                    selected: true
+                });
+            }
+            const row = rows.get(key);
+            row.hours += Number(item.dbt__Duration__c) || 0;
+
+            const dayIndex = this.dayIndexForDate(item.dbt__Date__c, sourceStartDate);
+            if (dayIndex >= 0) {
+                row.cells.push({ dayIndex, dur: item.dbt__Duration__c || 0, desc: item.dbt__Description__c || '' });
+            }
+        });
+        return [...rows.values()].map(row => ({ ...row, label: this.getRowLabel(row) }));
+    }
+
+    get copyModeOptions() {
+        return [
+            { label: 'Rows only', value: COPY_MODE_ROWS },
+            { label: 'Rows + hours', value: COPY_MODE_HOURS },
+            { label: 'Rows + hours + descriptions', value: COPY_MODE_DESCRIPTIONS }
+        ];
+    }
+
+    get isCopyApplyDisabled() {
+        return !this.copyRows.some(row => row.selected);
+    }
+
+    get allCopyRowsSelected() {
+        return this.copyRows.every(row => row.selected);
+    }
+
+    handleCopyModeChange(event) {
+        this.copyMode = event.detail.value;
+    }
+
+    handleCopyRowToggle(event) {
+        const key = event.target.dataset.key;
+        this.copyRows = this.copyRows.map(row =>
+            row.key === key ? { ...row, selected: event.target.checked } : row
+        );
+    }
+
+    handleCopySelectAll(event) {
+        const selected = event.target.checked;
+        this.copyRows = this.copyRows.map(row => ({ ...row, selected }));
+    }
+
+    handleCopyCancel() {
+        this.showCopyDialog = false;
+        this.copyRows = [];
+    }
+
+    handleCopyApply() {
+        const selectedRows = this.copyRows.filter(row => row.selected);
+        this.mergeRowsIntoGrid(selectedRows, {
+            withHours: this.copyMode !== COPY_MODE_ROWS,
+            withDescriptions: this.copyMode === COPY_MODE_DESCRIPTIONS
+        });
+        this.showCopyDialog = false;
+        this.copyRows = [];
+        this.showToast('Success', `${selectedRows.length} row(s) copied`, 'success');
+    }
+
+    // Merge rows ({ type, projectName, activityName, chargeCode, billable, absenceName,
+    // cells: [{ dayIndex, dur, desc }] }) into the grid. Rows already in the grid are reused
+    // and only empty cells are filled, so nothing the user has entered is overwritten.
+    mergeRowsIntoGrid(sourceRows, { withHours, withDescriptions }) {
+        this.recordHistory();
+
+        // Drop the empty placeholder row so merged rows take its place
+        this.projectsList = this.projectsList.filter(row =>
+            row.projectName || row.activityName || row.dates.some(day => day.dur > 0 || day.id)
+        );
+
+        sourceRows.forEach(source => {
+            const target = this.findOrAddRow(source);
+            if (!withHours) return;
+            source.cells.forEach(({ dayIndex, dur, desc }) => {
+                const day = target.dates[dayIndex];
+                if (!day || day.dur > 0) return;
+                day.dur = dur;
+                day.isdisable = !(dur > 0);
+                if (withDescriptions && !day.desc) {
+                    day.desc = desc;
+                }
+            });
+        });
+
+        if (this.projectsList.length === 0) {
+            this.addNewProject();
+        }
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
+
+        this.calculateTotals();
+        this.afterGridChange();
+    }
+
+    isWeekday(dayIndex) {
+        const date = this.localDateFromServer(this.dayList[dayIndex]);
+        if (!date) return false;
+        // getDay() counted from Monday: Monday = 0 ... Sunday = 6
+        return (date.getDay() + 6) % 7 < this.workingDaysPerWeek;
+    }
+
+    // Weekend days and public holidays are skipped by the bulk fill actions
+    isWorkingDay(dayIndex) {
+        return this.isWeekday(dayIndex) && !this.holidays.has(this.dayList[dayIndex]);
+    }
+
+    get fillRowMenuItems() {
+        return [
+            { label: 'Fill weekdays with...', value: 'fillWeekdays' },
+            { label: 'Copy Monday across the week', value: 'copyMonday' },
+            { label: 'Distribute hours across weekdays...', value: 'distribute' }
+        ];
+    }
+
+    get isFillDistribute() {
+        return this.fillAction === 'distribute';
+    }
+
+    get fillDialogTitle() {
+        return this.isFillDistribute ? 'Distribute hours across weekdays' : 'Fill weekdays';
+    }
+
+    get fillDialogLabel() {
+        return this.isFillDistribute ? 'Total hours' : 'Hours per day';
+    }
+
+    get fillDialogMax() {
+        return this.isFillDistribute ? undefined : this.maxDailyHours;
+    }
+
+    handleRowFillMenu(event) {
+        const dataFor = event.target.dataset.for;
+        const rowIndex = parseInt(event.target.dataset.rowIndex, 10);
+        const rowRef = { list: dataFor === 'project' ? this.projectsList : this.absenceList, rowIndex };
+        const action = event.detail.value;
+
+        if (action === 'copyMonday') {
+            this.applyBulkFill(rowRef.list[rowIndex], action);
+            return;
+        }
+        this.fillAction = action;
+        this.fillRowRef = rowRef;
+        this.fillHours = undefined;
+        this.showFillDialog = true;
+    }
+
+    handleFillHoursChange(event) {
+        this.fillHours = event.target.value;
+    }
+
+    handleFillDialogCancel() {
+        this.showFillDialog = false;
+    }
+
+    handleFillDialogApply() {
+        const hours = Number(this.fillHours);
+        const valid = this.isFillDistribute ? hours >= 0 : this.isValidDuration(hours);
+        if (this.fillHours === undefined || this.fillHours === '' || !valid) {
+            this.showToast('Error', this.isFillDistribute
+                ? 'Enter the total number of hours to distribute'
+                : `Enter a number of hours between 0 and ${this.maxDailyHours}`, 'error');
+            return;
+        }
+        const row = this.fillRowRef.list[this.fillRowRef.rowIndex];
+        this.showFillDialog = false;
+        this.applyBulkFill(row, this.fillAction, hours);
+    }
+
+    // Row actions: fillWeekdays sets every working day to hours, copyMonday copies each
+    // week's Monday to the other working days of that week, distribute splits hours over
+    // the working days in steps of the rounding increment
+    applyBulkFill(row, action, hours) {
+        const workingDays = row.dates.map((day, index) => index).filter(index => this.isWorkingDay(index));
+        if (workingDays.length === 0) {
+            this.showToast('Info', 'There are no working days in this timesheet', 'info');
+            return;
+        }
+
+        const values = new Map();
+        if (action === 'fillWeekdays') {
+            workingDays.forEach(index => values.set(index, hours));
+        } else if (action === 'copyMonday') {
+            workingDays.forEach(index => {
+                const monday = workingDays.find(i => this.weekOfDay(i) === this.weekOfDay(index)
+                    && this.localDateFromServer(this.dayList[i]).getDay() === 1);
+                if (monday !== undefined && monday !== index) {
+                    values.set(index, Number(row.dates[monday].dur) || 0);
+                }
+            });
+            if (values.size === 0) {
+                this.showToast('Info', 'There is no Monday to copy from', 'info');
+                return;
+            }
+        } else if (action === 'distribute') {
+            const increment = (this.roundingIncrementMinutes || 1) / 60;
+            const steps = Math.round(hours / increment);
+            const base = Math.floor(steps / workingDays.length);
+            let extra = steps - base * workingDays.length;
+            workingDays.forEach(index => {
+                const daySteps = base + (extra > 0 ? 1 : 0);
+                extra--;
+                values.set(index, Math.round(daySteps * increment * 100) / 100);
+            });
+        }
+
+        this.recordHistory();
+        values.forEach((value, index) => {
+            const day = row.dates[index];
+            day.dur = value;
+            day.isdisable = (value === 0);
+            day.errorMessage = null;
+        });
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
+        this.calculateTotals();
+        this.afterGridChange();
+    }
+
+    // Copy the first value in a column into the empty working-day cells below it
+    handleFillColumnDown(event) {
+        const dayIndex = parseInt(event.target.dataset.dayIndex, 10);
+        if (!this.isWorkingDay(dayIndex)) {
+            this.showToast('Info', 'Weekends and public holidays are not filled', 'info');
+            return;
+        }
+        const rows = [...this.projectsList, ...this.absenceList];
+        const sourceIndex = rows.findIndex(row => Number(row.dates[dayIndex].dur) > 0);
+        if (sourceIndex < 0) {
+            this.showToast('Info', 'Enter hours in the first row of this column to fill down', 'info');
+            return;
+        }
+
+        const value = Number(rows[sourceIndex].dates[dayIndex].dur);
+        const targets = rows.slice(sourceIndex + 1).map(row => row.dates[dayIndex]).filter(day => !(Number(day.dur) > 0));
+        if (targets.length === 0) return;
+
+        this.recordHistory();
+        targets.forEach(day => {
+            day.dur = value;
+            day.isdisable = false;
+            day.errorMessage = null;
+        });
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
+        this.calculateTotals();
+        this.afterGridChange();
+    }
+
+    loadTemplates() {
+        return getTemplates({ employeeId: this.EmployeeID })
+            .then(result => {
+                this.templates = result;
+            })
+            .catch(error => {
+                console.error(error);
+            });
+    }
+
+    loadFavourites() {
+        return getFavourites({ employeeId: this.EmployeeID })
+            .then(result => {
+                this.favourites = JSON.parse(result || '[]');
+                this.refreshFavouriteOptions();
+            })
+            .catch(error => {
+                console.error(error);
+            });
+    }
+
+    get templateOptions() {
+        return this.templates.map(template => ({ label: template.Name, value: template.Id }));
+    }
+
+    get hasNoTemplates() {
+        return this.templates.length === 0;
+    }
+
+    get isTemplateActionDisabled() {
+        return this.isLocked || !this.selectedTemplateId;
+    }
+
+    handleTemplateSelect(event) {
+        this.selectedTemplateId = event.detail.value;
+    }
+
+    // Template rows carry hours per weekday name; they are spread over every matching day of the period
+    handleApplyTemplate() {
+        const template = this.templates.find(t => t.Id === this.selectedTemplateId);
+        if (!template) return;
+
+        let rows;
+        try {
+            rows = JSON.parse(template.dbt__Rows__c || '[]');
+        } catch (e) {
+            this.showToast('Error', 'This template could not be read', 'error');
+            return;
+        }
+
+        // Projects the employee is no longer assigned to are left out
+        const sourceRows = rows
+            .filter(row => row.type !== 'Attendance' || this.projectOptions.some(option => option.value === row.project))
+            .map(row => ({
+                type: row.type,
+                projectName: row.project,
+                activityName: row.activity,
+                chargeCode: row.chargeCode || '',
+                billable: this.projectOptions.find(option => option.value === row.project)?.billable,
+                absenceName: row.absenceCategory,
+                cells: this.dayList
+                    .map((date, dayIndex) => ({
+                        dayIndex,
+                        dur: Number((row.hours || {})[WEEKDAY_NAMES[this.localDateFromServer(date).getDay()]]) || 0,
+                        desc: ''
+                    }))
+                    .filter(cell => cell.dur > 0)
+            }));
+
+        this.mergeRowsIntoGrid(sourceRows, { withHours: true, withDescriptions: false });
+        if (sourceRows.length < rows.length) {
+            this.showToast('Warning', `${rows.length - sourceRows.length} row(s) skipped: project no longer assigned`, 'warning');
+        } else {
+            this.showToast('Success', `Template "${template.Name}" applied`, 'success');
+        }
+    }
+
+    handleDeleteTemplate() {
+        const templateId = this.selectedTemplateId;
+        if (!templateId) return;
+        deleteTemplate({ templateId })
+            .then(() => {
+                this.templates = this.templates.filter(t => t.Id !== templateId);
+                this.selectedTemplateId = undefined;
+                this.showToast('Success', 'Template deleted', 'success');
+            })
+            .catch(error => {
+                this.showToast('Error', error.body?.message || 'Could not delete the template', 'error');
+            });
+    }
+
+    handleOpenTemplateDialog() {
+        this.templateName = this.templates.find(t => t.Id === this.selectedTemplateId)?.Name || '';
+        this.templateIncludeHours = false;
+        this.showTemplateDialog = true;
+    }
+
+    handleTemplateNameChange(event) {
+        this.templateName = event.target.value;
+    }
+
+    handleTemplateIncludeHoursChange(event) {
+        this.templateIncludeHours = event.target.checked;
+    }
+
+    handleTemplateDialogCancel() {
+        this.showTemplateDialog = false;
+    }
+
+    get isTemplateSaveDisabled() {
+        return !this.templateName || !this.templateName.trim();
+    }
+
+    // Saves the grid's rows; with hours, each weekday keeps the hours of its first day in the period
+    handleSaveTemplate() {
+        const toHours = row => {
+            const hours = {};
+            if (this.templateIncludeHours) {
+                row.dates.forEach(day => {
+                    const weekday = WEEKDAY_NAMES[this.localDateFromServer(day.date).getDay()];
+                    if (hours[weekday] === undefined && day.dur > 0) {
+                        hours[weekday] = Number(day.dur);
+                    }
+                });
+            }
+            return hours;
+        };
+        const rows = [
+            ...this.projectsList.filter(row => row.projectName).map(row => ({
+                type: 'Attendance',
+                project: row.projectName,
+                activity: row.activityName,
+                chargeCode: row.chargeCode || '',
+                hours: toHours(row)
+            })),
+            ...this.absenceList.filter(row => row.absenceName).map(row => ({
+                type: 'Absence',
+                absenceCategory: row.absenceName,
+                hours: toHours(row)
+            }))
+        ];
+
+        saveTemplate({ employeeId: this.EmployeeID, name: this.templateName.trim(), rowsJson: JSON.stringify(rows) })
+            .then(saved => {
+                this.templates = [...this.templates.filter(t => t.Id !== saved.Id), saved]
+                    .sort((a, b) => a.Name.localeCompare(b.Name));
+                this.selectedTemplateId = saved.Id;
+                this.showTemplateDialog = false;
+                this.showToast('Success', `Template "${saved.Name}" saved`, 'success');
+            })
+            .catch(error => {
+                this.showToast('Error', error.body?.message || 'Could not save the template', 'error');
+            });
+    }
+
+    isFavourite(projectId, activity) {
+        return !!projectId && !!activity
+            && this.favourites.some(fav => fav.project === projectId && fav.activity === activity);
+    }
+
+    // Keep each attendance row's favourite star and timer button in step with the
+    // favourites list and the running timer
+    markRowFlags() {
+        this.projectsList.forEach(row => {
+            const incomplete = !row.projectName || !row.activityName;
+            row.isFavourite = this.isFavourite(row.projectName, row.activityName);
+            row.favouriteDisabled = incomplete;
+            row.timerRunning = this.isTimerRow(row);
+            row.timerIcon = row.timerRunning ? 'utility:stop' : 'utility:play';
+            row.timerTitle = row.timerRunning ? 'Stop timer and log the time in today\'s cell' : 'Start timer';
+            // A running timer can still be stopped; the time waits for an open timesheet
+            row.timerDisabled = incomplete || (this.isLocked && !row.timerRunning);
+        });
+        [...this.projectsList, ...this.absenceList].forEach(row => {
+            row.collapsed = this.collapsedRows.has(this.rowIdentity(row));
+            row.collapseIcon = row.collapsed ? 'utility:chevronright' : 'utility:chevrondown';
+            row.collapseTitle = row.collapsed ? 'Show descriptions' : 'Hide descriptions';
+        });
+        // The Holiday row and its calendar days stay as the calendar set them
+        this.absenceList.forEach(row => {
+            row.categoryReadOnly = this.isLocked || !!row.isHolidayRow;
+            row.deleteDisabled = this.isLocked || !!row.isHolidayRow;
+            row.dates.forEach(day => {
+                day.readOnly = this.isLocked || !!day.isHoliday;
+            });
+        });
+    }
+
+    get timerStorageKey() {
+        return TIMER_STORAGE_PREFIX + this.EmployeeID;
+    }
+
+    readTimer() {
+        try {
+            const raw = localStorage.getItem(this.timerStorageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.error('Unable to read timer', error);
+            return null;
+        }
+    }
+
+    // Pick up a timer started earlier (or in another tab) and show it on its row
+    syncTimer() {
+        this.activeTimer = this.readTimer() || undefined;
+        if (this.activeTimer) {
+            this.startTimerTicker();
+        } else {
+            this.stopTimerTicker();
+        }
+        this.markRowFlags();
+        this.projectsList = [...this.projectsList];
+    }
+
+    handleStorageChange(event) {
+        if (event.key === this.timerStorageKey) {
+            this.syncTimer();
+        }
+    }
+
+    get hasActiveTimer() {
+        return !!this.activeTimer;
+    }
+
+    isTimerRow(row) {
+        const timer = this.activeTimer;
+        return !!timer && row.projectName === timer.project && row.activityName === timer.activity
+            && (row.chargeCode || '') === (timer.chargeCode || '');
+    }
+
+    startTimerTicker() {
+        this.updateTimerElapsed();
+        if (!this.timerInterval) {
+            this.timerInterval = setInterval(() => this.updateTimerElapsed(), 1000);
+        }
+    }
+
+    stopTimerTicker() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = undefined;
+        }
+        this.timerElapsed = '';
+    }
+
+    updateTimerElapsed() {
+        if (!this.activeTimer) return;
+        const seconds = Math.max(0, Math.floor((Date.now() - this.activeTimer.startedAt) / 1000));
+        const pad = n => String(n).padStart(2, '0');
+        this.timerElapsed = `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
+
+    handleTimerToggle(event) {
+        const row = this.projectsList[event.currentTarget.dataset.rowIndex];
+        if (!row || !row.projectName || !row.activityName) return;
+
+        if (this.isTimerRow(row)) {
+            this.stopTimer();
+            return;
+        }
+
+        // Only one timer may run at a time, across all of the employee's tabs
+        const running = this.readTimer();
+        if (running) {
+            this.showToast('Error', `A timer is already running for ${running.label}. Stop it first.`, 'error');
+            this.syncTimer();
+            return;
+        }
+
+        const timer = {
+            project: row.projectName,
+            activity: row.activityName,
+            chargeCode: row.chargeCode || '',
+            label: this.getRowLabel(row),
+            startedAt: Date.now()
+        };
+        try {
+            localStorage.setItem(this.timerStorageKey, JSON.stringify(timer));
+        } catch (error) {
+            console.error('Unable to save timer', error);
+        }
+        this.syncTimer();
+    }
+
+    handleTimerStop() {
+        this.stopTimer();
+    }
+
+    // Round the elapsed time to the org increment and add it to today's cell of the timer's row
+    stopTimer() {
+        const timer = this.readTimer();
+        if (!timer) {
+            this.syncTimer();
+            return;
+        }
+
+        if (this.isLocked) {
+            this.showToast('Warning', `${this.lockedMessage} The timer keeps running.`, 'warning');
+            return;
+        }
+
+        const dayIndex = this.dayIndexForDate(this.formatDateYMD(new Date()));
+        if (dayIndex < 0) {
+            // Keep the timer running so the time is not lost
+            this.showToast('Warning', 'Today is not in this timesheet. Stop the timer from the timesheet for today.', 'warning');
+            return;
+        }
+
+        const elapsedHours = (Date.now() - timer.startedAt) / 3600000;
+        const hours = roundToIncrement(elapsedHours, this.roundingIncrementMinutes || 1);
+
+        try {
+            localStorage.removeItem(this.timerStorageKey);
+        } catch (error) {
+            console.error('Unable to clear timer', error);
+        }
+
+        if (hours > 0) {
+            this.recordHistory();
+            const row = this.findOrAddRow({
+                type: 'Attendance',
+                projectName: timer.project,
+                activityName: timer.activity,
+                chargeCode: timer.chargeCode || '',
+                billable: this.projectOptions.find(option => option.value === timer.project)?.billable
+            });
+            const day = row.dates[dayIndex];
+            day.dur = Math.round(((Number(day.dur) || 0) + hours) * 100) / 100;
+            day.isdisable = false;
+            this.projectsList = [...this.projectsList];
+            this.calculateTotals();
+            this.showToast('Success', `${hours} hour(s) added to ${timer.label} for ${day.name}`, 'success');
+        } else {
+            this.showToast('Info', `Less than ${this.roundingIncrementMinutes} minutes tracked; nothing was logged`, 'info');
+        }
+
+        this.syncTimer();
+        this.afterGridChange();
+    }
+
+    refreshFavouriteOptions() {
+        this.projectsList = this.projectsList.map(row => ({
+            ...row,
+            activityOptions: this.getActivityOptionsForProject(row.projectName)
+        }));
+        this.markRowFlags();
+    }
+
+    handleToggleFavourite(event) {
+        const row = this.projectsList[event.currentTarget.dataset.rowIndex];
+        if (!row || !row.projectName || !row.activityName) return;
+
+        const previous = this.favourites;
+        this.favourites = this.isFavourite(row.projectName, row.activityName)
+            ? previous.filter(fav => !(fav.project === row.projectName && fav.activity === row.activityName))
+            : [...previous, { project: row.projectName, activity: row.activityName }];
+        this.refreshFavouriteOptions();
+
+        saveFavourites({ employeeId: this.EmployeeID, rowsJson: JSON.stringify(this.favourites) })
+            .catch(error => {
+                this.favourites = previous;
+                this.refreshFavouriteOptions();
+                this.showToast('Error', error.body?.message || 'Could not save favourites', 'error');
+            });
+    }
+
+    // Identifies a row across timesheets, matching how processTimesheetData groups line items
+    rowIdentity(row) {
+        return row.type === "Attendance"
+            ? `Attendance_${row.projectName || ''}_${row.activityName || ''}_${row.chargeCode || ''}`
+            : `Absence_${row.absenceName || ''}`;
+    }
+
+    isRowNamed(row) {
+        return row.type === "Attendance" ? Boolean(row.projectName) : Boolean(row.absenceName);
+    }
+
+    loadRowOrder() {
+        return getRowOrder({ employeeId: this.EmployeeID })
+            .then(result => {
+                this.rowOrder = JSON.parse(result || '[]');
+            })
+            .catch(error => {
+                console.error(error);
+            });
+    }
+
+    loadRowNotes() {
+        return getRowNotes({ timesheetId: this.timesheetId })
+            .then(result => {
+                this.savedRowNotes = JSON.parse(result || '[]');
+            })
+            .catch(error => {
+                this.savedRowNotes = [];
+                console.error(error);
+            });
+    }
+
+    // Rows the employee has placed come first, in that order; the rest keep the server order
+    sortRowsByOrder() {
+        if (this.rowOrder.length === 0) return;
+        const position = row => {
+            const index = this.rowOrder.indexOf(this.rowIdentity(row));
+            return index < 0 ? Number.MAX_SAFE_INTEGER : index;
+        };
+        const byPosition = (a, b) => position(a) - position(b);
+        this.projectsList = [...this.projectsList].sort(byPosition);
+        this.absenceList = [...this.absenceList].sort(byPosition);
+    }
+
+    // Notes in a stable order, so moving rows around does not count as a change
+    rowNotesJson() {
+        const notes = [...this.projectsList, ...this.absenceList]
+            .filter(row => this.isRowNamed(row) && row.note && row.note.trim())
+            .map(row => ({
+                type: row.type,
+                projectName: row.projectName,
+                activityName: row.activityName,
+                chargeCode: row.chargeCode,
+                absenceName: row.absenceName,
+                billable: row.billable,
+                note: row.note.trim()
+            }))
+            .sort((a, b) => this.rowIdentity(a).localeCompare(this.rowIdentity(b)));
+        return JSON.stringify(notes);
+    }
+
+    // Bound to blur, so a note is one undo step and not one per keystroke
+    handleRowNoteChange(event) {
+        const list = event.target.dataset.for === 'project' ? this.projectsList : this.absenceList;
+        const row = list[parseInt(event.target.dataset.rowIndex, 10)];
+        if (!row || (row.note || '') === (event.target.value || '')) return;
+
+        this.recordHistory();
+        row.note = event.target.value;
+        this.afterGridChange();
+    }
+
+    handleRowDragStart(event) {
+        this.dragSource = {
+            dataFor: event.currentTarget.dataset.for,
+            index: parseInt(event.currentTarget.dataset.rowIndex, 10)
+        };
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag that carries data
+        event.dataTransfer.setData('text/plain', '');
+    }
+
+    // Rows can only be dropped within their own section
+    handleRowDragOver(event) {
+        if (this.dragSource && this.dragSource.dataFor === event.currentTarget.dataset.for) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        }
+    }
+
+    handleRowDragEnd() {
+        this.dragSource = undefined;
+    }
+
+    handleRowDrop(event) {
+        event.preventDefault();
+        const source = this.dragSource;
+        this.dragSource = undefined;
+        const dataFor = event.currentTarget.dataset.for;
+        const target = parseInt(event.currentTarget.dataset.rowIndex, 10);
+        if (!source || source.dataFor !== dataFor || source.index === target) return;
+
+        this.recordHistory();
+        const listName = dataFor === 'project' ? 'projectsList' : 'absenceList';
+        const rows = [...this[listName]];
+        const [moved] = rows.splice(source.index, 1);
+        rows.splice(target, 0, moved);
+        this[listName] = rows;
+        this.markProjectSubtotals();
+        this.saveDraft();
+        this.rememberRowOrder();
+    }
+
+    // The rows on screen take their new places; rows only other timesheets have follow
+    rememberRowOrder() {
+        const current = [...this.projectsList, ...this.absenceList]
+            .filter(row => this.isRowNamed(row))
+            .map(row => this.rowIdentity(row));
+        this.storeRowOrder([...new Set([...current, ...this.rowOrder])]);
+    }
+
+    storeRowOrder(rowOrder) {
+        const previous = this.rowOrder;
+        this.rowOrder = rowOrder;
+
+        saveRowOrder({ employeeId: this.EmployeeID, rowsJson: JSON.stringify(this.rowOrder) })
+            .catch(error => {
+                this.rowOrder = previous;
+                this.showToast('Error', error.body?.message || 'Could not save the row order', 'error');
+            });
+    }
+
+    get allRowsCollapsed() {
+        const rows = [...this.projectsList, ...this.absenceList];
+        return rows.length > 0 && rows.every(row => row.collapsed);
+    }
+
+    get collapseAllIcon() {
+        return this.allRowsCollapsed ? 'utility:expand_all' : 'utility:collapse_all';
+    }
+
+    get collapseAllTitle() {
+        return this.allRowsCollapsed ? 'Show all descriptions' : 'Hide all descriptions';
+    }
+
+    setRowsCollapsed(rows, collapsed) {
+        rows.forEach(row => {
+            const identity = this.rowIdentity(row);
+            if (collapsed) {
+                this.collapsedRows.add(identity);
+            } else {
+                this.collapsedRows.delete(identity);
+            }
+        });
+        this.markRowFlags();
+        this.projectsList = [...this.projectsList];
+        this.absenceList = [...this.absenceList];
+    }
+
+    handleToggleRowCollapse(event) {
+        const list = event.currentTarget.dataset.for === 'project' ? this.projectsList : this.absenceList;
+        const row = list[parseInt(event.currentTarget.dataset.rowIndex, 10)];
+        if (!row) return;
+        this.setRowsCollapsed([row], !row.collapsed);
+    }
+
+    handleToggleAllRows() {
+        this.setRowsCollapsed([...this.projectsList, ...this.absenceList], !this.allRowsCollapsed);
+    }
+
+    findOrAddRow(source) {
+        if (source.type === "Attendance") {
+            // A charge code that is no longer active for this period is not carried over
+            const chargeCodeOptions = this.getChargeCodeOptionsForProject(source.projectName);
+            const chargeCode = chargeCodeOptions.some(option => option.value === source.chargeCode) ? source.chargeCode : '';
+            let row = this.projectsList.find(r => r.projectName === source.projectName
+                && r.activityName === source.activityName
+                && (r.chargeCode || '') === chargeCode);
+            if (!row) {
+                row = {
+                    ...this.getBlankData("Attendance"),
+                    projectName: source.projectName,
+                    activityName: source.activityName,
+                    chargeCode,
+                    billable: source.billable,
+                    activityOptions: this.getActivityOptionsForProject(source.projectName),
+                    chargeCodeOptions
+                };
+                this.projectsList.push(row);
+            }
+            return row;
+        }
+
+        let row = this.absenceList.find(r => r.absenceName === source.absenceName);
+        if (!row) {
+            row = {
+                ...this.getBlankData("Absence"),
+                absenceName: source.absenceName
+            };
+            this.absenceList.push(row);
+        }
+        return row;
+    }
+
+    // Saves the grid, then lists the pre-submission checks. Submitting is only offered once
+    // the checks pass or the employee explains why they do not.
+    handleSubmit() {
+        if (!this.runValidation()) {
+            // Nothing can be saved, so skip the save and show what blocks the submission
+            this.openSubmitDialog(null);
+            return;
+        }
+        this.saveGrid({ quiet: true })
+            .then(saved => {
+                if (!saved) return null;
+                return getSubmissionStatus({ timesheetId: this.timesheetId }).then(status => {
+                    if (status.dbt__Status__c && status.dbt__Status__c !== 'New') {
+                        this.showToast('Info', `This timesheet is already ${status.dbt__Status__c}`, 'info');
+                        return;
+                    }
+                    this.openSubmitDialog(status);
+                });
+            })
+            .catch(error => {
+                this.showToast('Error', error.body?.message || error.message, 'error');
+            });
+    }
+
+    openSubmitDialog(status) {
+        this.submissionChecklist = this.buildSubmissionChecklist(status);
+        this.submitJustification = '';
+        this.showSubmitDialog = true;
+    }
+
+    // Each check lists the cells that fail it; gridRow/dayIndex drive the Fix links
+    buildSubmissionChecklist(status) {
+        const columns = this.dayColumns;
+        const dayLabel = index => `${columns[index].name} ${columns[index].date}`;
+        const check = (key, label, issues, blocking = false) => ({
+            key,
+            label,
+            issues,
+            blocking,
+            passed: issues.length === 0,
+            icon: issues.length === 0 ? 'utility:success' : 'utility:warning',
+            iconVariant: issues.length === 0 ? 'success' : 'warning'
+        });
+        const hasRows = this.projectsList.length + this.absenceList.length > 0;
+        // Holiday hours are logged in the Holiday row, so holidays still count towards the target
+        const workingDays = this.dayList.map((_, index) => index).filter(index => this.isWeekday(index));
+
+        // Weekly hours: the timesheet's own Met Weekly Hours flag for one-week periods,
+        // otherwise the org's working hours for each working day in the period
+        const hoursIssues = [];
+        const total = this.grandTotals.reduce((sum, hours) => sum + hours, 0);
+        const target = this.workingHoursPerDay * workingDays.length;
+        const metHours = status && this.dayList.length <= DAYS_PER_WEEK
+            ? status.dbt__Met_Weekly_Hours__c
+            : total >= target;
+        if (!metHours) {
+            const shortDay = workingDays.find(index => this.grandTotals[index] < this.workingHoursPerDay);
+            hoursIssues.push({
+                key: 'hours',
+                message: status && this.dayList.length <= DAYS_PER_WEEK
+                    ? `${total} hours logged, below the weekly hours for ${status.dbt__Employee__r?.dbt__Employment_Type__c || 'this'} employment`
+                    : `${total} of ${target} hours logged`,
+                gridRow: hasRows && shortDay !== undefined ? 0 : null,
+                dayIndex: shortDay
+            });
+        }
+
+        const emptyDayIssues = workingDays
+            .filter(index => !this.grandTotals[index])
+            .map(index => ({
+                key: `empty-${index}`,
+                message: `${dayLabel(index)} has no hours`,
+                gridRow: hasRows ? 0 : null,
+                dayIndex: index
+            }));
+
+        const descriptionIssues = [];
+        this.projectsList.forEach((row, rowIndex) => {
+            if (row.billable !== 'Yes') return;
+            row.dates.forEach((day, dayIndex) => {
+                if (day.dur > 0 && !(day.desc || '').trim()) {
+                    descriptionIssues.push({
+                        key: `desc-${rowIndex}-${dayIndex}`,
+                        message: `${this.getRowLabel(row)} - ${dayLabel(dayIndex)} has no description`,
+                        gridRow: this.getGridRowIndex('project', rowIndex),
+                        dayIndex,
+                        withDescription: true
+                    });
+                }
+            });
+        });
+
+        // Keys of validation errors are '<dataFor>-<rowIndex>-<dayIndex>'
+        const validationIssues = this.validationErrors.map(error => {
+            const [dataFor, rowIndex, dayIndex] = error.key.split('-');
+            return {
+                key: `invalid-${error.key}`,
+                message: `${error.label}: ${error.message}`,
+                gridRow: this.getGridRowIndex(dataFor, Number(rowIndex)),
+                dayIndex: Number(dayIndex)
+            };
+        });
+
+        return [
+            check('hours', 'Weekly hours met', hoursIssues),
+            check('emptyDays', 'No empty working days', emptyDayIssues),
+            check('descriptions', 'Descriptions on billable rows', descriptionIssues),
+            check('validation', 'No validation errors', validationIssues, true)
+        ].map(item => ({
+            ...item,
+            issues: item.issues.map(issue => ({ ...issue, hasFix: issue.gridRow !== null && issue.dayIndex !== undefined }))
+        }));
+    }
+
+    get isChecklistPassed() {
+        return this.submissionChecklist.every(item => item.passed);
+    }
+
+    // Validation errors cannot be justified away: the grid could not be saved
+    get isChecklistBlocked() {
+        return this.submissionChecklist.some(item => item.blocking && !item.passed);
+    }
+
+    get isSubmitConfirmDisabled() {
+        return this.isSubmitting || this.isChecklistBlocked
+            || (!this.isChecklistPassed && !this.submitJustification.trim());
+    }
+
+    handleSubmitJustificationChange(event) {
+        this.submitJustification = event.detail.value || '';
+    }
+
+    handleSubmitDialogCancel() {
+        this.showSubmitDialog = false;
+    }
+
+    handleChecklistFix(event) {
+        const { gridRow, dayIndex, withDescription } = event.currentTarget.dataset;
+        this.showSubmitDialog = false;
+        // Let the dialog close before moving focus into the grid
+        Promise.resolve().then(() =>
+            this.focusDurationCell(Number(gridRow), Number(dayIndex), withDescription === 'true')
+        );
+    }
+
+    // The approver sees the justification and the checks it covers in the approval history
+    handleSubmitConfirm() {
+        let comments = null;
+        if (!this.isChecklistPassed) {
+            const open = this.submissionChecklist
+                .filter(item => !item.passed)
+                .map(item => `- ${item.label}: ${item.issues.map(issue => issue.message).join('; ')}`);
+            comments = `${this.submitJustification.trim()}\n\nOpen checklist items:\n${open.join('\n')}`;
+        }
+
+        this.isSubmitting = true;
+        submitForApproval({ timesheetId: this.timesheetId, comments })
+            .then(() => {
+                this.showSubmitDialog = false;
+                this.showToast('Success', 'Timesheet submitted for approval', 'success');
+                notifyRecordUpdateAvailable([{ recordId: this.timesheetId }]);
+                return getSubmissionStatus({ timesheetId: this.timesheetId });
+            })
+            .then(status => {
+                if (status) {
+                    this.timesheetStatus = status.dbt__Status__c;
+                    this.markRowFlags();
+                }
+            })
+            .catch(error => {
+                this.showToast('Error', error.body?.message || error.message, 'error');
+            })
+            .finally(() => {
+                this.isSubmitting = false;
+            });
+    }
+
+    handleCancel() {
+        this.processTimesheetData(this.wiredTimesheetResult,true);
+        this.clearDraft();
+
+        this.template.querySelectorAll('lightning-combobox[data-id="prevTimesheet"]').forEach(cb => {
+            cb.value = undefined;
+        });
+    }
+
+    get draftStorageKey() {
+        return DRAFT_STORAGE_PREFIX + this.timesheetId;
+    }
+
+    // Persist the current grid rows so a crash or timeout does not lose unsaved edits
+    saveDraft() {
+        if (!this.timesheetId) return;
+        const draft = {
+            savedAt: Date.now(),
+            ...this.snapshotGrid()
+        };
+        try {
+            localStorage.setItem(this.draftStorageKey, JSON.stringify(draft));
+        } catch (error) {
+            console.error('Unable to save timesheet draft', error);
+        }
+    }
+
+    readDraft() {
+        try {
+            const raw = localStorage.getItem(this.draftStorageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.error('Unable to read timesheet draft', error);
+            return null;
+        }
+    }
+
+    clearDraft() {
+        this.pendingDraft = undefined;
+        this.showDraftBanner = false;
+        try {
+            localStorage.removeItem(this.draftStorageKey);
+        } catch (error) {
+            console.error('Unable to clear timesheet draft', error);
+        }
+    }
+
+    // Offer the stored draft only when it was written after the latest server change
+    checkForDraft(serverData) {
+        const draft = this.readDraft();
+        if (!draft || !draft.savedAt) return;
+        if (this.isLocked) {
+            // Nothing can be restored into a locked timesheet
+            this.clearDraft();
+            return;
+        }
+
+        const serverModified = (serverData || []).reduce((latest, item) => {
+            const modified = Date.parse(item.LastModifiedDate) || 0;
+            return Math.max(latest, modified);
+        }, 0);
+
+        if (draft.savedAt > serverModified) {
+            this.pendingDraft = draft;
+            this.showDraftBanner = true;
+        } else {
+            this.clearDraft();
+        }
+    }
+
+    get draftSavedAtLabel() {
+        return this.pendingDraft ? new Date(this.pendingDraft.savedAt).toLocaleString() : '';
+    }
+
+    handleRestoreDraft() {
+        const draft = this.pendingDraft;
+        if (!draft) return;
+
+        this.recordHistory();
+        this.applyGridState(draft);
+
+        this.pendingDraft = undefined;
+        this.showDraftBanner = false;
+        this.showToast('Success', 'Unsaved draft restored. Please Click Save', 'success');
+    }
+
+    handleDiscardDraft() {
+        this.clearDraft();
+    }
+
+    // Deep copy of the editable grid rows. Per-row activity and charge code options are
+    // derived from the project, so they are dropped here and rebuilt in applyGridState.
+    snapshotGrid() {
+        const stripRow = ({ activityOptions, chargeCodeOptions, ...row }) => row;
+        return JSON.parse(JSON.stringify({
+            projectsList: this.projectsList.map(stripRow),
+            absenceList: this.absenceList
+        }));
+    }
+
+    applyGridState(state) {
+        // Fresh keys: a draft from an earlier visit may reuse keys of rows created since
+        this.projectsList = (state.projectsList || []).map(row => ({
+            ...row,
+            rowKey: `row-${++rowKeySequence}`,
+            activityOptions: this.getActivityOptionsForProject(row.projectName),
+            chargeCodeOptions: this.getChargeCodeOptionsForProject(row.projectName)
+        }));
+        this.absenceList = (state.absenceList || []).map(row => ({ ...row, rowKey: `row-${++rowKeySequence}` }));
+        this.applyHolidays();
+        if (this.projectsList.length === 0) {
+            this.addNewProject();
+        }
+        this.calculateTotals();
+        this.markRowFlags();
+        this.runValidation();
+    }
+
+    // Call before every grid mutation so the change can be undone
+    recordHistory() {
+        this.undoStack = [...this.undoStack, this.historyEntry()].slice(-HISTORY_LIMIT);
+        this.redoStack = [];
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get isUndoDisabled() {
+        return this.isLocked || this.undoStack.length === 0;
+    }
+
+    get isRedoDisabled() {
+        return this.isLocked || this.redoStack.length === 0;
+    }
+
+    handleUndo() {
+        if (this.undoStack.length === 0) return;
+        const previous = this.undoStack[this.undoStack.length - 1];
+        this.redoStack = [...this.redoStack, this.historyEntry()];
+        this.undoStack = this.undoStack.slice(0, -1);
+        this.applyHistoryEntry(previous);
+    }
+
+    handleRedo() {
+        if (this.redoStack.length === 0) return;
+        const next = this.redoStack[this.redoStack.length - 1];
+        this.undoStack = [...this.undoStack, this.historyEntry()];
+        this.redoStack = this.redoStack.slice(0, -1);
+        this.applyHistoryEntry(next);
+    }
+
+    // The grid plus the saved row order, so undoing a drag and drop also puts the order back
+    historyEntry() {
+        return { ...this.snapshotGrid(), rowOrder: [...this.rowOrder] };
+    }
+
+    applyHistoryEntry(entry) {
+        this.applyGridState(entry);
+        if (entry.rowOrder && JSON.stringify(entry.rowOrder) !== JSON.stringify(this.rowOrder)) {
+            this.storeRowOrder(entry.rowOrder);
+        }
+        this.afterGridChange();
+    }
+
+    // Ctrl+Z / Ctrl+Y (Cmd on macOS); Ctrl+Shift+Z also redoes. Text fields other than the
+    // duration cells keep the browser's own text undo.
+    handleKeyDown(event) {
+        if (this.isLocked || !(event.ctrlKey || event.metaKey) || this.isTextField(event.target)) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.handleUndo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.handleRedo();
+        }
+    }
+
+    // Description and note textareas, dialog inputs and contenteditable elements, seen from the
+    // template: targets inside lightning-* components are retargeted to the component
+    isTextField(target) {
+        if (!target) return false;
+        const tagName = (target.tagName || '').toUpperCase();
+        if (tagName === 'LIGHTNING-TEXTAREA' || tagName === 'TEXTAREA' || target.isContentEditable) return true;
+        return (tagName === 'LIGHTNING-INPUT' || tagName === 'INPUT') && target.dataset?.dayIndex === undefined;
     }
-}
\ No newline at end of file
+}
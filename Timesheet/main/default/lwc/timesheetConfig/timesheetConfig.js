@@ -0,0 +1,189 @@
+/**
+ * @file timesheetConfig.js
+ * @description Service exposing the org's Timesheet_Default_Value__mdt policy values
+ * (working hours, daily limit, working days, week start, rounding) and the employee's public holidays
+ * to components, fetched once and cached
+ */
+
+import getDefaultValues from "@salesforce/apex/GetTimesheetDefaultValues.getDefaultValues";
+import getWeekStartDayName from "@salesforce/apex/GetTimesheetDefaultValues.getWeekStartDay";
+import getHolidayRecords from "@salesforce/apex/HolidayCalendarController.getHolidays";
+
+// Indexed like Date.prototype.getDay()
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Used when the metadata record is missing or cannot be read; matches the packaged Default_Values record
+export const DEFAULT_CONFIG = {
+    workingHoursPerDay: 8,
+    maxWorkingHoursPerDay: 24,
+    workingDaysPerWeek: 5,
+    accruedVacationDays: 10,
+    weekStartDay: 'Monday',
+    roundingIncrementMinutes: 15,
+    blockPtoOverBalance: false
+};
+
+// Timesheet__c.Status__c values that make a timesheet's line items read-only
+export const LOCKED_STATUSES = ['Submitted', 'Approved'];
+
+// Absence_Category__c value of the rows prefilled from the holiday calendar
+export const HOLIDAY_CATEGORY = 'Holiday';
+
+// Goal periods expressed in working weeks
+const WEEKS_PER_MONTH = 4;
+const WEEKS_PER_YEAR = 48;
+
+// Shared across components on the page
+let configPromise;
+let weekStartPromises = {};  // Per employee or user
+let holidayPromises = {};  // Per employee or user
+
+/**
+ * @description Fetches the timesheet policy values, falling back to DEFAULT_CONFIG per value
+ * @returns {Promise<Object>} { workingHoursPerDay, maxWorkingHoursPerDay, workingDaysPerWeek, accruedVacationDays,
+ *   weekStartDay, roundingIncrementMinutes, blockPtoOverBalance }
+ */
+export function getTimesheetConfig() {
+    if (!configPromise) {
+        configPromise = getDefaultValues()
+            .then((data) => {
+                const config = { ...DEFAULT_CONFIG };
+                Object.keys(DEFAULT_CONFIG).forEach((key) => {
+                    if (data && data[key] != null) {
+                        config[key] = typeof DEFAULT_CONFIG[key] === 'number' ? Number(data[key]) : data[key];
+                    }
+                });
+                return config;
+            })
+            .catch((error) => {
+                console.error('Error loading timesheet defaults', error);
+                configPromise = undefined;
+                return { ...DEFAULT_CONFIG };
+            });
+    }
+    return configPromise;
+}
+
+/**
+ * @description Converts a week start day name to its getDay() index
+ * @param {String} dayName - Day name such as 'Monday'
+ * @returns {Number} 0 (Sunday) - 6 (Saturday); Monday when the name is not recognised
+ */
+export function weekStartIndex(dayName) {
+    const index = WEEKDAY_NAMES.indexOf(dayName);
+    return index >= 0 ? index : WEEKDAY_NAMES.indexOf(DEFAULT_CONFIG.weekStartDay);
+}
+
+/**
+ * @description Position of a weekday within a week that starts on weekStart
+ * @param {Number} dayOfWeek - getDay()/getUTCDay() value of the date
+ * @param {Number} weekStart - getDay() index of the first day of the week
+ * @returns {Number} 0 for the first day of the week through 6 for the last
+ */
+export function daysSinceWeekStart(dayOfWeek, weekStart) {
+    return (dayOfWeek - weekStart + 7) % 7;
+}
+
+/**
+ * @description Fetches the first day of the week for an employee, honouring the
+ * Employee__c override before the org default
+ * @param {Object} params - { userId } or { employeeId }
+ * @returns {Promise<Number>} getDay() index of the first day of the week
+ */
+export function getWeekStartDay({ userId, employeeId } = {}) {
+    const key = employeeId || userId || '';
+    if (!weekStartPromises[key]) {
+        weekStartPromises[key] = getWeekStartDayName({ userId, employeeId })
+            .then((dayName) => weekStartIndex(dayName))
+            .catch((error) => {
+                console.error('Error loading week start day', error);
+                weekStartPromises[key] = null;
+                return weekStartIndex(DEFAULT_CONFIG.weekStartDay);
+            });
+    }
+    return weekStartPromises[key];
+}
+
+/**
+ * @description Fetches the public holidays of the employee's Holiday_Calendar__c
+ * @param {Object} params - { userId } or { employeeId }
+ * @returns {Promise<Map<String, Object>>} { name, hours } keyed by 'YYYY-MM-DD'; empty without a calendar
+ */
+export function getHolidays({ userId, employeeId } = {}) {
+    const key = employeeId || userId || '';
+    if (!holidayPromises[key]) {
+        holidayPromises[key] = getHolidayRecords({ userId, employeeId })
+            .then((records) => new Map((records || []).map((holiday) => [
+                holiday.dbt__Date__c,
+                { name: holiday.Name, hours: Number(holiday.dbt__Hours__c) || 0 }
+            ])))
+            .catch((error) => {
+                console.error('Error loading holidays', error);
+                holidayPromises[key] = null;
+                return new Map();
+            });
+    }
+    return holidayPromises[key];
+}
+
+/**
+ * @description Adds up the holiday hours that fall on working days, each capped at a working day
+ * @param {Map<String, Object>} holidays - Output of getHolidays
+ * @param {Date} startDate - First day of the range (UTC midnight)
+ * @param {Date} endDate - Last day of the range, inclusive (UTC midnight)
+ * @param {Object} config - Output of getTimesheetConfig
+ * @returns {Number} Hours to take off the target for the range
+ */
+export function getHolidayHours(holidays, startDate, endDate, config) {
+    if (!holidays || holidays.size === 0) {
+        return 0;
+    }
+    const monday = WEEKDAY_NAMES.indexOf('Monday');
+    let hours = 0;
+    for (const day = new Date(startDate); day <= endDate; day.setUTCDate(day.getUTCDate() + 1)) {
+        const holiday = holidays.get(day.toISOString().slice(0, 10));
+        if (holiday && daysSinceWeekStart(day.getUTCDay(), monday) < config.workingDaysPerWeek) {
+            hours += Math.min(holiday.hours, config.workingHoursPerDay);
+        }
+    }
+    return hours;
+}
+
+/**
+ * @description Builds the target hours for each day of a week. Working days are counted
+ * from Monday, so with a Sunday week start the first and last days get 0.
+ * @param {Object} config - Output of getTimesheetConfig
+ * @param {Number} [weekStart] - getDay() index of the first day of the week (default Monday)
+ * @returns {Array<Number>} Seven daily targets in week order; non-working days get 0
+ */
+export function getDailyTargets(config, weekStart = weekStartIndex(DEFAULT_CONFIG.weekStartDay)) {
+    const monday = WEEKDAY_NAMES.indexOf('Monday');
+    return Array.from({ length: 7 }, (_, index) => {
+        const dayOfWeek = (weekStart + index) % 7;
+        return daysSinceWeekStart(dayOfWeek, monday) < config.workingDaysPerWeek ? config.workingHoursPerDay : 0;
+    });
+}
+
+/**
+ * @description Whether a timesheet in this status is locked for editing
+ * @param {String} status - Timesheet__c.Status__c value
+ * @returns {Boolean} true once the timesheet is Submitted or Approved
+ */
+export function isLockedStatus(status) {
+    return LOCKED_STATUSES.includes(status);
+}
+
+/**
+ * @description Builds hour goals for each dashboard period
+ * @param {Object} config - Output of getTimesheetConfig
+ * @returns {Object} { year, month, week, day } in hours
+ */
+export function getHourGoals(config) {
+    const week = config.workingHoursPerDay * config.workingDaysPerWeek;
+    return {
+        year: week * WEEKS_PER_YEAR,
+        month: week * WEEKS_PER_MONTH,
+        week,
+        day: config.workingHoursPerDay
+    };
+}
@@ -0,0 +1,108 @@
+import {
+    parseDuration,
+    roundToIncrement,
+    formatDuration,
+    getDurationFormat,
+    saveDurationFormat,
+    DURATION_FORMAT_DECIMAL,
+    DURATION_FORMAT_HOURS_MINUTES
+} from 'c/timesheetDuration';
+
+describe('c-timesheet-duration', () => {
+    afterEach(() => {
+        localStorage.clear();
+    });
+
+    describe('parseDuration', () => {
+        it('reads decimal hours with a dot or a comma', () => {
+            expect(parseDuration('1.5')).toBe(1.5);
+            expect(parseDuration('1,5')).toBe(1.5);
+            expect(parseDuration('.25')).toBe(0.25);
+            expect(parseDuration('8')).toBe(8);
+        });
+
+        it('reads h:mm', () => {
+            expect(parseDuration('1:30')).toBe(1.5);
+            expect(parseDuration('0:45')).toBe(0.75);
+            expect(parseDuration('2:05')).toBe(2.08);
+        });
+
+        it('rejects h:mm with more than 59 minutes', () => {
+            expect(parseDuration('1:60')).toBeNull();
+        });
+
+        it('reads hour and minute suffixes', () => {
+            expect(parseDuration('1h')).toBe(1);
+            expect(parseDuration('1.5 hrs')).toBe(1.5);
+            expect(parseDuration('90m')).toBe(1.5);
+            expect(parseDuration('45 min')).toBe(0.75);
+            expect(parseDuration('1h 15m')).toBe(1.25);
+            expect(parseDuration('2 hours 30 minutes')).toBe(2.5);
+            expect(parseDuration('1H30M')).toBe(1.5);
+        });
+
+        it('treats blank input as 0', () => {
+            expect(parseDuration('')).toBe(0);
+            expect(parseDuration('   ')).toBe(0);
+            expect(parseDuration(null)).toBe(0);
+            expect(parseDuration(undefined)).toBe(0);
+        });
+
+        it('returns null for text that is not a duration', () => {
+            expect(parseDuration('abc')).toBeNull();
+            expect(parseDuration('-1')).toBeNull();
+            expect(parseDuration('1:2:3')).toBeNull();
+            expect(parseDuration('h')).toBeNull();
+        });
+
+        it('accepts numbers and rejects negative or NaN ones', () => {
+            expect(parseDuration(2.5)).toBe(2.5);
+            expect(parseDuration(-1)).toBeNull();
+            expect(parseDuration(NaN)).toBeNull();
+        });
+
+        it('rounds to the increment', () => {
+            expect(parseDuration('1:07', 15)).toBe(1);
+            expect(parseDuration('1:08', 15)).toBe(1.25);
+            expect(parseDuration('50m', 30)).toBe(1);
+            expect(parseDuration(1.1, 6)).toBe(1.1);
+        });
+    });
+
+    describe('roundToIncrement', () => {
+        it('keeps two decimals without an increment', () => {
+            expect(roundToIncrement(1.234)).toBe(1.23);
+            expect(roundToIncrement(1.235, 0)).toBe(1.24);
+        });
+
+        it('rounds half an increment up', () => {
+            expect(roundToIncrement(0.125, 15)).toBe(0.25);
+            expect(roundToIncrement(0.1, 15)).toBe(0);
+        });
+    });
+
+    describe('formatDuration', () => {
+        it('formats decimal hours by default', () => {
+            expect(formatDuration(1.5)).toBe('1.5');
+            expect(formatDuration(1.257)).toBe('1.26');
+            expect(formatDuration(undefined)).toBe('0');
+        });
+
+        it('formats h:mm', () => {
+            expect(formatDuration(1.5, DURATION_FORMAT_HOURS_MINUTES)).toBe('1:30');
+            expect(formatDuration(0.1, DURATION_FORMAT_HOURS_MINUTES)).toBe('0:06');
+            expect(formatDuration(7.999, DURATION_FORMAT_HOURS_MINUTES)).toBe('8:00');
+        });
+    });
+
+    describe('display preference', () => {
+        it('defaults to decimal hours', () => {
+            expect(getDurationFormat()).toBe(DURATION_FORMAT_DECIMAL);
+        });
+
+        it('returns the saved preference', () => {
+            saveDurationFormat(DURATION_FORMAT_HOURS_MINUTES);
+            expect(getDurationFormat()).toBe(DURATION_FORMAT_HOURS_MINUTES);
+        });
+    });
+});
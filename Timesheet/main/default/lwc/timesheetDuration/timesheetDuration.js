@@ -0,0 +1,108 @@
+/**
+ * @file timesheetDuration.js
+ * @description Reads durations typed as decimal hours, h:mm, minutes or hour/minute suffixes,
+ * rounds them to the org's increment and formats them in the user's preferred display
+ */
+
+import USER_ID from '@salesforce/user/Id';
+
+// How duration cells are shown: 1.5 or 1:30
+export const DURATION_FORMAT_DECIMAL = 'decimal';
+export const DURATION_FORMAT_HOURS_MINUTES = 'hmm';
+
+// Prefix for the user's display preference kept in browser storage
+const FORMAT_STORAGE_PREFIX = 'dbt__durationFormat_';
+
+const HOURS_MINUTES_PATTERN = /^(\d+):([0-5]?\d)$/;
+const DECIMAL_PATTERN = /^\d*[.,]?\d+$/;
+// 1h, 1.5 hrs, 90m, 45 min, 1h 15m, 2 hours 30 minutes
+const UNITS_PATTERN = /^(?:(\d*[.,]?\d+)\s*h(?:rs?|ours?)?)?\s*(?:(\d*[.,]?\d+)\s*m(?:ins?|inutes?)?)?$/;
+
+function toNumber(text) {
+    return parseFloat(text.replace(',', '.'));
+}
+
+/**
+ * @description Rounds hours to the nearest increment
+ * @param {Number} hours - Duration in hours
+ * @param {Number} [incrementMinutes] - Rounding step; without one the value is kept to two decimals
+ * @returns {Number} Rounded hours
+ */
+export function roundToIncrement(hours, incrementMinutes) {
+    const rounded = incrementMinutes > 0
+        ? Math.round((hours * 60) / incrementMinutes) * incrementMinutes / 60
+        : hours;
+    return Math.round(rounded * 100) / 100;
+}
+
+/**
+ * @description Reads a typed duration
+ * @param {String|Number} input - e.g. '1.5', '1:30', '90m', '1h 15m'; blank means 0
+ * @param {Number} [incrementMinutes] - Rounding step (Timesheet_Default_Value__mdt.Rounding_Increment_Minutes__c)
+ * @returns {Number|null} Hours rounded to the increment, or null when the text is not a duration
+ */
+export function parseDuration(input, incrementMinutes) {
+    if (typeof input === 'number') {
+        return isNaN(input) || input < 0 ? null : roundToIncrement(input, incrementMinutes);
+    }
+    const text = String(input ?? '').trim().toLowerCase();
+    if (text === '') {
+        return 0;
+    }
+
+    let hours;
+    let match = text.match(HOURS_MINUTES_PATTERN);
+    if (match) {
+        hours = Number(match[1]) + Number(match[2]) / 60;
+    } else if (DECIMAL_PATTERN.test(text)) {
+        hours = toNumber(text);
+    } else {
+        match = text.match(UNITS_PATTERN);
+        if (!match || (match[1] === undefined && match[2] === undefined)) {
+            return null;
+        }
+        hours = (match[1] ? toNumber(match[1]) : 0) + (match[2] ? toNumber(match[2]) / 60 : 0);
+    }
+    return roundToIncrement(hours, incrementMinutes);
+}
+
+/**
+ * @description Formats hours for display
+ * @param {Number} hours - Duration in hours
+ * @param {String} [format] - DURATION_FORMAT_DECIMAL (default) or DURATION_FORMAT_HOURS_MINUTES
+ * @returns {String} e.g. '1.5' or '1:30'
+ */
+export function formatDuration(hours, format = DURATION_FORMAT_DECIMAL) {
+    const value = Number(hours) || 0;
+    if (format === DURATION_FORMAT_HOURS_MINUTES) {
+        const minutes = Math.round(value * 60);
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * @description Reads the current user's display preference
+ * @returns {String} DURATION_FORMAT_DECIMAL or DURATION_FORMAT_HOURS_MINUTES
+ */
+export function getDurationFormat() {
+    try {
+        const format = localStorage.getItem(FORMAT_STORAGE_PREFIX + USER_ID);
+        return format === DURATION_FORMAT_HOURS_MINUTES ? format : DURATION_FORMAT_DECIMAL;
+    } catch (error) {
+        console.error('Unable to read duration format', error);
+        return DURATION_FORMAT_DECIMAL;
+    }
+}
+
+/**
+ * @description Stores the current user's display preference
+ * @param {String} format - DURATION_FORMAT_DECIMAL or DURATION_FORMAT_HOURS_MINUTES
+ */
+export function saveDurationFormat(format) {
+    try {
+        localStorage.setItem(FORMAT_STORAGE_PREFIX + USER_ID, format);
+    } catch (error) {
+        console.error('Unable to save duration format', error);
+    }
+}
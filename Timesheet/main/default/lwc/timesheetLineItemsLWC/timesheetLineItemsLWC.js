@@ -6,13 +6,27 @@ import { refreshApex } from "@salesforce/apex";
 import updateTimesheetLineItems from "@salesforce/apex/TimesheetLineItemLwcController.updateTimesheetLineItems";
 import getProjects from "@salesforce/apex/ProjectController.getProjects";
 import getTimesheetLineItems from "@salesforce/apex/TimesheetLineItemLwcController.getTimesheetLineItems";
+import { validateLineItems, groupErrorsByKey } from "c/timesheetValidation";
+import {
+  getTimesheetConfig,
+  getHolidays,
+  isLockedStatus,
+  HOLIDAY_CATEGORY
+} from "c/timesheetConfig";
+import {
+  parseDuration,
+  formatDuration,
+  getDurationFormat
+} from "c/timesheetDuration";
+import canEditLockedTimesheets from "@salesforce/customPermission/dbt__Edit_Locked_Timesheets";
 
 import START_DATE from "@salesforce/schema/Timesheet__c.Start_Date__c";
 import END_DATE from "@salesforce/schema/Timesheet__c.End_Date__c";
 import EMPLOYEE_NAME from "@salesforce/schema/Timesheet__c.Employee__r.Name";
 import EMPLOYEE_ID from "@salesforce/schema/Timesheet__c.Employee__r.Id";
+import STATUS from "@salesforce/schema/Timesheet__c.Status__c";
 
-const fields = [START_DATE, END_DATE, EMPLOYEE_NAME, EMPLOYEE_ID];
+const fields = [START_DATE, END_DATE, EMPLOYEE_NAME, EMPLOYEE_ID, STATUS];
 
 export default class TimesheetLineItemsLWC extends LightningElement {
   @track timeSheetLineItems = [];
@@ -24,6 +38,29 @@ export default class TimesheetLineItemsLWC extends LightningElement {
   empName;
   projectId;
   @api recordId;
+  @track validationErrors = [];
+  // Until the first save attempt, only rows the user touched show errors
+  showAllErrors = false;
+  // Daily hour limit from Timesheet_Default_Value__mdt
+  maxDailyHours;
+  // Typed durations are rounded to this many minutes (Timesheet_Default_Value__mdt)
+  roundingIncrementMinutes;
+  // Decimal hours or h:mm, as chosen in the weekly grid
+  durationFormat = getDurationFormat();
+  // Hours of a Holiday absence on a day without a calendar holiday
+  workingHoursPerDay;
+  // Public holidays of the employee's calendar ({ name, hours } keyed by 'YYYY-MM-DD')
+  holidays = new Map();
+  timesheet = {};
+
+  connectedCallback() {
+    getTimesheetConfig().then((config) => {
+      this.maxDailyHours = config.maxWorkingHoursPerDay;
+      this.roundingIncrementMinutes = config.roundingIncrementMinutes;
+      this.workingHoursPerDay = config.workingHoursPerDay;
+      this.runValidation();
+    });
+  }
 
   @wire(getTimesheetLineItems, { timesheetId: "$recordId" })
   wiredTimesheetLineItems(result) {
@@ -36,7 +73,14 @@ export default class TimesheetLineItemsLWC extends LightningElement {
   }
 
   @wire(getRecord, { recordId: "$recordId", fields })
-  timesheet;
+  wiredTimesheet(result) {
+    this.timesheet = result;
+    if (result.data) {
+      getHolidays({ employeeId: this.employeeId }).then((holidays) => {
+        this.holidays = holidays;
+      });
+    }
+  }
 
   get startDate() {
     return getFieldValue(this.timesheet.data, START_DATE);
@@ -54,6 +98,35 @@ export default class TimesheetLineItemsLWC extends LightningElement {
     return getFieldValue(this.timesheet.data, EMPLOYEE_ID);
   }
 
+  get status() {
+    return getFieldValue(this.timesheet.data, STATUS);
+  }
+
+  get isStatusLocked() {
+    return isLockedStatus(this.status);
+  }
+
+  // Submitted and Approved timesheets are read-only except for HR admins
+  get isLocked() {
+    return this.isStatusLocked && !canEditLockedTimesheets;
+  }
+
+  get lockedMessage() {
+    return this.isLocked
+      ? `This timesheet is ${this.status} and can no longer be edited.`
+      : `This timesheet is ${this.status}. You can still edit it as an HR admin.`;
+  }
+
+  // Line items as rendered, with every field disabled while the timesheet is locked
+  get rows() {
+    return this.timeSheetLineItems.map((rec) => ({
+      ...rec,
+      projectDisabled: this.isLocked || rec.isAbsence,
+      absenceDisabled: this.isLocked || rec.isAttendance,
+      durationText: this.formatDurationText(rec.dbt__Duration__c)
+    }));
+  }
+
   get options() {
     return this.optionArray;
   }
@@ -99,7 +172,90 @@ export default class TimesheetLineItemsLWC extends LightningElement {
     this.createEmptyRow(this.timeSheetLineItems);
   }
 
+  get hasValidationErrors() {
+    return this.validationErrors.length > 0;
+  }
+
+  // Checks every row against the Timesheet_Line_Item__c validation rules and
+  // marks the offending fields. Returns true when there is nothing to fix.
+  runValidation() {
+    const items = this.timeSheetLineItems.map((rec) => ({
+      key: String(rec.index),
+      type: rec.dbt__Type__c,
+      date: rec.dbt__Date__c,
+      project: rec.dbt__Project__c,
+      activity: rec.dbt__Activity__c,
+      absenceCategory: rec.dbt__Absence_Category__c,
+      duration: rec.dbt__Duration__c
+    }));
+    const errorsByKey = groupErrorsByKey(
+      validateLineItems(
+        items,
+        {
+          startDate: this.startDate,
+          endDate: this.endDate
+        },
+        { maxDailyHours: this.maxDailyHours }
+      )
+    );
+
+    let hasErrors = false;
+    const summary = [];
+    this.timeSheetLineItems.forEach((rec) => {
+      const errors = errorsByKey.get(String(rec.index)) || [];
+      hasErrors = hasErrors || errors.length > 0;
+      const visible = this.showAllErrors || rec.Id || rec.touched;
+      const shown = visible ? errors : [];
+      const fieldClass = (field) =>
+        shown.some((error) => error.field === field) ? "slds-has-error" : "";
+      const errorMessage = [
+        ...new Set(shown.map((error) => error.message))
+      ].join(" ");
+      if (errorMessage) {
+        summary.push({
+          key: String(rec.index),
+          label: "Row " + rec.index,
+          message: errorMessage
+        });
+      }
+      Object.assign(rec, {
+        errorKey: "error-" + rec.index,
+        errorMessage,
+        dateClass: fieldClass("date"),
+        projectClass: fieldClass("project"),
+        activityClass: fieldClass("activity"),
+        absenceCategoryClass: fieldClass("absenceCategory"),
+        durationClass: fieldClass("duration")
+      });
+    });
+    this.validationErrors = summary;
+    return !hasErrors;
+  }
+
   update() {
+    if (this.isLocked) {
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Error",
+          message: this.lockedMessage,
+          variant: "error",
+          mode: "dismissible"
+        })
+      );
+      return;
+    }
+    this.showAllErrors = true;
+    if (!this.runValidation()) {
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Error",
+          message: "Please fix the highlighted errors before saving",
+          variant: "error",
+          mode: "dismissible"
+        })
+      );
+      return;
+    }
     updateTimesheetLineItems({
       timesheetLineItems: this.timeSheetLineItems,
       idsToDelete: this.itemsToDelete
@@ -139,9 +295,16 @@ export default class TimesheetLineItemsLWC extends LightningElement {
     let index = event.target.dataset.id;
     let field = event.target.name;
     let value = event.target.value;
+    if (field === "dbt__Duration__c") {
+      value = this.readDuration(event.target, parseInt(index));
+      if (value === undefined) {
+        return;
+      }
+    }
     for (let i = 0; i < this.timeSheetLineItems.length; i++) {
       if (this.timeSheetLineItems[i].index === parseInt(index)) {
         this.timeSheetLineItems[i][field] = value;
+        this.timeSheetLineItems[i].touched = true;
       }
     }
     for (let i = 0; i < this.timeSheetLineItems.length; i++) {
@@ -156,11 +319,49 @@ export default class TimesheetLineItemsLWC extends LightningElement {
         this.timeSheetLineItems[i].dbt__Absence_Category__c = null;
       }
       if (this.timeSheetLineItems[i].dbt__Type__c === "Absence") {
-        if (this.timeSheetLineItems[i].dbt__Absence_Category__c === "Holiday") {
-          this.timeSheetLineItems[i].dbt__Duration__c = 8;
+        if (this.timeSheetLineItems[i].dbt__Absence_Category__c === HOLIDAY_CATEGORY) {
+          this.timeSheetLineItems[i].dbt__Duration__c = this.holidayHours(
+            this.timeSheetLineItems[i].dbt__Date__c
+          );
         }
       }
     }
+    this.runValidation();
+  }
+
+  // A public holiday takes its calendar hours; any other day off a full working day
+  holidayHours(date) {
+    return this.holidays.get(date)?.hours ?? this.workingHoursPerDay;
+  }
+
+  // Reads 1.5, 1:30, 90m or 1h 30m, rounded to the org increment, and shows the
+  // normalized value. Blank stays blank so validation still asks for a duration.
+  // Returns undefined and restores the cell when the text is not a duration.
+  readDuration(input, index) {
+    const text = String(input.value ?? "").trim();
+    const hours =
+      text === "" ? null : parseDuration(text, this.roundingIncrementMinutes);
+    if (text !== "" && hours === null) {
+      this.dispatchEvent(
+        new ShowToastEvent({
+          title: "Error",
+          message: "Enter a duration such as 1.5, 1:30, 90m or 1h 30m",
+          variant: "error",
+          mode: "dismissible"
+        })
+      );
+      const rec = this.timeSheetLineItems.find((item) => item.index === index);
+      input.value = this.formatDurationText(rec && rec.dbt__Duration__c);
+      return undefined;
+    }
+    input.value = this.formatDurationText(hours);
+    return hours;
+  }
+
+  formatDurationText(hours) {
+    return hours === null || hours === undefined
+      ? ""
+      : formatDuration(hours, this.durationFormat);
   }
 
   handleCancel() {
@@ -196,6 +397,8 @@ export default class TimesheetLineItemsLWC extends LightningElement {
       this.timeSheetLineItems = items;
       this.error = undefined;
     }
+    this.showAllErrors = false;
+    this.runValidation();
     this.populateProjects();
   }
 
@@ -214,5 +417,6 @@ export default class TimesheetLineItemsLWC extends LightningElement {
       timeSheetLineItems[i].index = i + 1;
     }
     this.timeSheetLineItems = timeSheetLineItems;
+    this.runValidation();
   }
 }
\ No newline at end of file
@@ -0,0 +1,79 @@
+import { calculateOvertime, rowOvertime, billableAmount } from 'c/timesheetOvertime';
+
+const LIMITS = { hoursPerDay: 8, hoursPerWeek: 40 };
+const ONE_WEEK = [1, 1, 1, 1, 1, 1, 1];
+
+describe('c-timesheet-overtime', () => {
+    describe('calculateOvertime', () => {
+        it('counts hours beyond the standard day as daily overtime', () => {
+            const result = calculateOvertime([10, 8, 9.5, 0, 0, 0, 0], ONE_WEEK, LIMITS);
+
+            expect(result.map(day => day.daily)).toEqual([2, 0, 1.5, 0, 0, 0, 0]);
+            expect(result.map(day => day.weekly)).toEqual([0, 0, 0, 0, 0, 0, 0]);
+        });
+
+        it('puts weekly overtime on the day that goes past the standard week', () => {
+            const result = calculateOvertime([8, 8, 8, 8, 8, 8, 0], ONE_WEEK, LIMITS);
+
+            expect(result.map(day => day.weekly)).toEqual([0, 0, 0, 0, 0, 8, 0]);
+        });
+
+        it('applies daily overtime first and keeps it out of the weekly count', () => {
+            // 5 x 10 hours: 10 daily overtime hours, 40 regular hours, no weekly overtime
+            const result = calculateOvertime([10, 10, 10, 10, 10, 0, 0], ONE_WEEK, LIMITS);
+
+            expect(result.map(day => day.daily)).toEqual([2, 2, 2, 2, 2, 0, 0]);
+            expect(result.map(day => day.weekly)).toEqual([0, 0, 0, 0, 0, 0, 0]);
+        });
+
+        it('does not count daily overtime twice on the day the week runs over', () => {
+            // 40 regular hours by Friday, then a 10 hour day: 2 daily and 8 weekly overtime hours
+            const result = calculateOvertime([9, 9, 9, 9, 9, 10, 0], ONE_WEEK, LIMITS);
+
+            expect(result[5]).toEqual({ daily: 2, weekly: 8, total: 10 });
+            expect(result.reduce((sum, day) => sum + day.total, 0)).toBe(15);
+        });
+
+        it('restarts the weekly count in each week', () => {
+            const worked = [8, 8, 8, 8, 8, 8, 8, 8, 8, 8];
+            const weeks = [1, 1, 1, 1, 1, 2, 2, 2, 2, 2];
+
+            const result = calculateOvertime(worked, weeks, LIMITS);
+
+            expect(result.every(day => day.total === 0)).toBe(true);
+        });
+
+        it('turns off a rule whose limit is 0 or missing', () => {
+            expect(calculateOvertime([10, 10, 10, 10, 10], [1, 1, 1, 1, 1], { hoursPerDay: 0, hoursPerWeek: 40 })
+                .map(day => day.weekly)).toEqual([0, 0, 0, 0, 10]);
+            expect(calculateOvertime([12], [1], { hoursPerDay: 8 })).toEqual([{ daily: 4, weekly: 0, total: 4 }]);
+            expect(calculateOvertime([12], [1], {})).toEqual([{ daily: 0, weekly: 0, total: 0 }]);
+        });
+
+        it('treats blank days as 0 hours', () => {
+            expect(calculateOvertime([undefined, '', null], [1, 1, 1], LIMITS).map(day => day.total)).toEqual([0, 0, 0]);
+        });
+    });
+
+    describe('rowOvertime', () => {
+        it('shares the day overtime in proportion to the row hours', () => {
+            expect(rowOvertime(6, 12, 4)).toBe(2);
+            expect(rowOvertime(3, 12, 4)).toBe(1);
+        });
+
+        it('returns 0 on a day without hours', () => {
+            expect(rowOvertime(0, 0, 4)).toBe(0);
+        });
+    });
+
+    describe('billableAmount', () => {
+        it('prices overtime hours at rate x multiplier', () => {
+            expect(billableAmount(6, 2, 100, 1.5)).toBe(700);
+        });
+
+        it('bills overtime at the normal rate without a multiplier', () => {
+            expect(billableAmount(6, 2, 100)).toBe(600);
+            expect(billableAmount(6, 2, 100, 0)).toBe(600);
+        });
+    });
+});
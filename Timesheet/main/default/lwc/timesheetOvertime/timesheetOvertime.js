@@ -0,0 +1,59 @@
+/**
+ * @file timesheetOvertime.js
+ * @description Splits worked hours into regular and overtime hours and prices overtime with a
+ * project's multiplier. TimesheetOvertimeCalculator.cls applies the same rules on the server.
+ */
+
+// Used when a project has no Overtime_Multiplier__c: overtime is billed at the normal rate
+export const DEFAULT_OVERTIME_MULTIPLIER = 1;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * @description Finds the overtime in each day of a period. Hours beyond hoursPerDay on a day are
+ * daily overtime. The remaining hours of a week are counted in date order; whatever goes past
+ * hoursPerWeek is weekly overtime, on the day it was worked.
+ * @param {Array<Number>} workedHours - Attendance hours of each day of the period (absences excluded)
+ * @param {Array<Number>} dayWeeks - Week of each day; days of one week share a value
+ * @param {Object} limits - { hoursPerDay, hoursPerWeek }
+ * @returns {Array<Object>} One { daily, weekly, total } per day, in hours
+ */
+export function calculateOvertime(workedHours, dayWeeks, { hoursPerDay, hoursPerWeek }) {
+    const regularByWeek = new Map();
+    return workedHours.map((hours, index) => {
+        const worked = Number(hours) || 0;
+        const daily = hoursPerDay > 0 ? Math.max(0, worked - hoursPerDay) : 0;
+        const week = dayWeeks[index] || 0;
+        const before = regularByWeek.get(week) || 0;
+        const regular = worked - daily;
+        const weekly = hoursPerWeek > 0 ? Math.max(0, before + regular - Math.max(before, hoursPerWeek)) : 0;
+        regularByWeek.set(week, before + regular);
+        return { daily: round(daily), weekly: round(weekly), total: round(daily + weekly) };
+    });
+}
+
+/**
+ * @description Share of a day's overtime that falls on one row, in proportion to its hours
+ * @param {Number} rowHours - Hours of the row on that day
+ * @param {Number} dayHours - Attendance hours of all rows on that day
+ * @param {Number} dayOvertime - Overtime of that day
+ * @returns {Number} Overtime hours of the row
+ */
+export function rowOvertime(rowHours, dayHours, dayOvertime) {
+    return dayHours > 0 ? (rowHours * dayOvertime) / dayHours : 0;
+}
+
+/**
+ * @description Billable amount of hours of which some are overtime
+ * @param {Number} hours - All hours, overtime included
+ * @param {Number} overtimeHours - Part of hours that is overtime
+ * @param {Number} rate - Hourly rate
+ * @param {Number} [multiplier] - Project's Overtime_Multiplier__c
+ * @returns {Number} Amount with overtime hours priced at rate x multiplier
+ */
+export function billableAmount(hours, overtimeHours, rate, multiplier) {
+    const factor = multiplier > 0 ? multiplier : DEFAULT_OVERTIME_MULTIPLIER;
+    return (hours - overtimeHours) * rate + overtimeHours * rate * factor;
+}
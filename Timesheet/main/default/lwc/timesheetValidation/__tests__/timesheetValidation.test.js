@@ -0,0 +1,101 @@
+import {
+    validateLineItems,
+    groupErrorsByKey,
+    DEFAULT_MAX_DAILY_HOURS
+} from 'c/timesheetValidation';
+
+const PERIOD = { startDate: '2024-01-01', endDate: '2024-01-07' };
+
+function attendance(key, duration, overrides = {}) {
+    return { key, type: 'Attendance', date: '2024-01-02', project: 'a01', activity: 'Development', duration, ...overrides };
+}
+
+function absence(key, duration, overrides = {}) {
+    return { key, type: 'Absence', date: '2024-01-02', absenceCategory: 'Sick Leave', duration, ...overrides };
+}
+
+describe('c-timesheet-validation', () => {
+    describe('validateLineItems', () => {
+        it('accepts valid line items', () => {
+            expect(validateLineItems([attendance('a', 8), absence('b', 8, { date: '2024-01-03' })], PERIOD)).toEqual([]);
+        });
+
+        it('requires a project and an activity for attendance', () => {
+            const errors = validateLineItems([
+                attendance('a', 1, { project: null }),
+                attendance('b', 1, { activity: '' })
+            ], PERIOD);
+
+            expect(errors.map(error => [error.key, error.field])).toEqual([['a', 'project'], ['b', 'activity']]);
+        });
+
+        it('requires a category for absence', () => {
+            const errors = validateLineItems([absence('a', 4, { absenceCategory: '' })], PERIOD);
+
+            expect(errors).toEqual([{ key: 'a', field: 'absenceCategory', message: 'Absence category cannot be blank when Type is Absence' }]);
+        });
+
+        it('allows 8 absence hours a day and rejects more', () => {
+            expect(validateLineItems([absence('a', 8)], PERIOD)).toEqual([]);
+
+            const errors = validateLineItems([absence('a', 8.5)], PERIOD);
+            expect(errors).toEqual([{ key: 'a', field: 'duration', message: 'Enter 8 hours or Less for Absence Type' }]);
+        });
+
+        it('uses the general absence message for categories without their own rule', () => {
+            const errors = validateLineItems([absence('a', 9, { absenceCategory: 'Bereavement' })], PERIOD);
+
+            expect(errors[0].message).toBe('Duration cannot be greater than 8 for Absence.');
+        });
+
+        it('rejects dates outside the timesheet period', () => {
+            const errors = validateLineItems([
+                attendance('a', 1, { date: '2023-12-31' }),
+                attendance('b', 1, { date: '2024-01-07' }),
+                attendance('c', 1, { date: '2024-01-08' })
+            ], PERIOD);
+
+            expect(errors.map(error => error.key)).toEqual(['a', 'c']);
+            expect(errors.every(error => error.field === 'date')).toBe(true);
+        });
+
+        it('applies the daily limit to the sum of every entry on a date', () => {
+            const items = [attendance('a', 6), attendance('b', 4, { project: 'a02' }), attendance('c', 9, { date: '2024-01-03' })];
+
+            const errors = validateLineItems(items, PERIOD, { maxDailyHours: 9 });
+
+            expect(errors.map(error => error.key)).toEqual(['a', 'b']);
+            expect(errors[0].message).toBe('Duration entered for the date has exceeded 9 hours');
+        });
+
+        it('counts absences toward the daily limit', () => {
+            const errors = validateLineItems([attendance('a', 4), absence('b', 4)], PERIOD, { maxDailyHours: 7.5 });
+
+            expect(errors.map(error => error.key)).toEqual(['a', 'b']);
+        });
+
+        it('falls back to the default daily limit', () => {
+            const full = [attendance('a', 16), absence('b', 8)];
+            const over = [attendance('a', 16.5), absence('b', 8)];
+
+            expect(validateLineItems(full, PERIOD)).toEqual([]);
+            expect(validateLineItems(over, PERIOD)[0].message)
+                .toBe(`Duration entered for the date has exceeded ${DEFAULT_MAX_DAILY_HOURS} hours`);
+        });
+    });
+
+    describe('groupErrorsByKey', () => {
+        it('groups errors by line item key', () => {
+            const errors = [
+                { key: 'a', field: 'project', message: 'x' },
+                { key: 'b', field: 'duration', message: 'y' },
+                { key: 'a', field: 'duration', message: 'z' }
+            ];
+
+            const grouped = groupErrorsByKey(errors);
+
+            expect(grouped.get('a').map(error => error.message)).toEqual(['x', 'z']);
+            expect(grouped.get('b')).toHaveLength(1);
+        });
+    });
+});
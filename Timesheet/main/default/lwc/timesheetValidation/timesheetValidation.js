@@ -0,0 +1,85 @@
+/**
+ * @file timesheetValidation.js
+ * @description Client-side checks mirroring the Timesheet_Line_Item__c validation rules,
+ * so editors can flag problems while the user types instead of after a failed save
+ */
+
+// Absence entries (and these categories in particular) may not exceed 8 hours a day
+export const MAX_ABSENCE_HOURS = 8;
+export const CAPPED_ABSENCE_CATEGORIES = ['Sick Leave', 'PTO-Planned', 'PTO-Un Planned'];
+
+// Fallback for Timesheet_Default_Value__mdt.Maximum_Working_Hrs_Per_Day__c
+export const DEFAULT_MAX_DAILY_HOURS = 24;
+
+/**
+ * @description Validates line items against the org's validation rules
+ * @param {Array<Object>} items - Line items in the shape
+ *   { key, type, date, project, activity, absenceCategory, duration }
+ *   where type is 'Attendance' or 'Absence' and date is 'YYYY-MM-DD'
+ * @param {Object} period - Timesheet period { startDate, endDate } as 'YYYY-MM-DD'
+ * @param {Object} [options] - { maxDailyHours } to override the daily limit
+ * @returns {Array<Object>} One entry { key, field, message } per failed rule
+ */
+export function validateLineItems(items, period, options = {}) {
+    const maxDailyHours = options.maxDailyHours || DEFAULT_MAX_DAILY_HOURS;
+    const errors = [];
+    const dailyTotals = {};
+
+    items.forEach(item => {
+        const duration = Number(item.duration) || 0;
+        const addError = (field, message) => errors.push({ key: item.key, field, message });
+
+        if (item.type === 'Attendance') {
+            if (!item.project || !item.activity) {
+                addError(!item.project ? 'project' : 'activity', 'Both Project and Activity are required for Attendance');
+            }
+        } else if (item.type === 'Absence') {
+            if (!item.absenceCategory) {
+                addError('absenceCategory', 'Absence category cannot be blank when Type is Absence');
+            }
+            if (duration > MAX_ABSENCE_HOURS) {
+                addError('duration', CAPPED_ABSENCE_CATEGORIES.includes(item.absenceCategory)
+                    ? 'Enter 8 hours or Less for Absence Type'
+                    : 'Duration cannot be greater than 8 for Absence.');
+            }
+        }
+
+        if (item.date && period && period.startDate && period.endDate
+            && (item.date < period.startDate || item.date > period.endDate)) {
+            addError('date', 'Date value should be between Start Date and End Date of the Timesheet.');
+        }
+
+        if (item.date) {
+            dailyTotals[item.date] = (dailyTotals[item.date] || 0) + duration;
+        }
+    });
+
+    // Daily limit applies to the sum of every entry on the same date
+    items.forEach(item => {
+        if (item.date && dailyTotals[item.date] > maxDailyHours) {
+            errors.push({
+                key: item.key,
+                field: 'duration',
+                message: `Duration entered for the date has exceeded ${maxDailyHours} hours`
+            });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * @description Groups validation errors by item key
+ * @param {Array<Object>} errors - Output of validateLineItems
+ * @returns {Map<String, Array<Object>>} Errors for each item key
+ */
+export function groupErrorsByKey(errors) {
+    const grouped = new Map();
+    errors.forEach(error => {
+        if (!grouped.has(error.key)) {
+            grouped.set(error.key, []);
+        }
+        grouped.get(error.key).push(error);
+    });
+    return grouped;
+}